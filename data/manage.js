@@ -0,0 +1,492 @@
+/* eslint-env browser */
+/* global self */
+
+const strings = self.options.strings;
+
+const table = document.querySelector("#hosts tbody");
+const search = document.getElementById("search");
+const sort = document.getElementById("sort");
+const empty = document.getElementById("empty");
+const error = document.getElementById("error");
+
+// Functions to compare two host entries with for each of the sort options.
+const SORTERS = {
+  host_asc: (a, b) => a.host.localeCompare(b.host),
+  host_desc: (a, b) => b.host.localeCompare(a.host),
+  subdomains: (a, b) => (b.includeSubdomains - a.includeSubdomains) ||
+                        a.host.localeCompare(b.host),
+};
+
+// The latest host list received from the addon.
+let hosts = [];
+
+/**
+ * Fills in the static strings of the page.
+ */
+function localize() {
+  for (let el of document.querySelectorAll("[data-l10n]")) {
+    el.textContent = strings[el.dataset.l10n];
+  }
+
+  let duration = document.getElementById("add-duration");
+  for (let { seconds, label } of self.options.durations) {
+    let option = document.createElement("option");
+    option.value = seconds;
+    option.textContent = label;
+    duration.appendChild(option);
+  }
+
+  search.placeholder = strings["ui.manage.search"];
+  document.getElementById("add-host").placeholder = strings["ui.manage.host"];
+}
+
+/**
+ * Renders the host list according to the current search and sort order.
+ */
+function render() {
+  let term = search.value.trim().toLowerCase();
+  let visible = hosts.filter(entry => entry.host.includes(term));
+  visible.sort(SORTERS[sort.value]);
+
+  while (table.firstChild) {
+    table.firstChild.remove();
+  }
+
+  for (let entry of visible) {
+    table.appendChild(createRow(entry));
+  }
+
+  empty.hidden = visible.length > 0;
+}
+
+/**
+ * Creates a table row for a host entry.
+ *
+ * @param {Object} entry
+ *        The host entry with form { host, includeSubdomains, remaining,
+ *        scope, redundant }.
+ * @return {Element} The row.
+ */
+function createRow(entry) {
+  let row = document.createElement("tr");
+
+  let host = document.createElement("td");
+  host.textContent = entry.host;
+  if (entry.redundant) {
+    let note = document.createElement("span");
+    note.className = "redundant";
+    note.textContent = strings["ui.manage.redundant"];
+    host.appendChild(note);
+  }
+
+  let include = document.createElement("td");
+  let checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = entry.includeSubdomains;
+  checkbox.addEventListener("change", () => {
+    self.port.emit("toggle", {
+      host: entry.host,
+      includeSubdomains: checkbox.checked
+    });
+  });
+  include.appendChild(checkbox);
+
+  let expires = document.createElement("td");
+  expires.textContent = entry.remaining || strings["ui.duration.forever"];
+
+  let scope = document.createElement("td");
+  scope.textContent = strings["ui.scope." + entry.scope];
+
+  let actions = document.createElement("td");
+  actions.appendChild(
+    createActionButton("ui.manage.remove", "remove", entry.host));
+
+  row.appendChild(host);
+  row.appendChild(include);
+  row.appendChild(expires);
+  row.appendChild(scope);
+  row.appendChild(actions);
+
+  return row;
+}
+
+document.getElementById("add-form").addEventListener("submit", event => {
+  event.preventDefault();
+
+  let input = document.getElementById("add-host");
+  error.hidden = true;
+
+  self.port.emit("add", {
+    host: input.value,
+    includeSubdomains: document.getElementById("add-include").checked,
+    duration: Number(document.getElementById("add-duration").value),
+    scope: document.getElementById("add-scope").value
+  });
+
+  input.value = "";
+});
+
+/**
+ * Creates a button that sends a message with the host to the addon.
+ *
+ * @param {String} label
+ *        The key of the button label.
+ * @param {String} message
+ *        The message to send.
+ * @param {String} host
+ *        The host the message is about.
+ * @return {Element} The button.
+ */
+function createActionButton(label, message, host) {
+  let button = document.createElement("button");
+  button.textContent = strings[label];
+  button.addEventListener("click", () => self.port.emit(message, { host }));
+  return button;
+}
+
+/**
+ * Renders the suggested and ignored hosts.
+ *
+ * @param {Object} suggestions
+ *        An object with form { suggested, ignored }.
+ */
+function renderSuggestions({ suggested, ignored }) {
+  let body = document.querySelector("#suggestions tbody");
+  while (body.firstChild) {
+    body.firstChild.remove();
+  }
+
+  for (let { host, count } of suggested) {
+    let row = document.createElement("tr");
+
+    let name = document.createElement("td");
+    name.textContent = host;
+
+    let loads = document.createElement("td");
+    loads.textContent = count;
+
+    let actions = document.createElement("td");
+    actions.appendChild(
+      createActionButton("ui.suggest.enforce", "suggestion-enforce", host));
+    actions.appendChild(
+      createActionButton("ui.suggest.ignore", "suggestion-ignore", host));
+
+    row.appendChild(name);
+    row.appendChild(loads);
+    row.appendChild(actions);
+    body.appendChild(row);
+  }
+
+  document.getElementById("suggestions-empty").hidden = suggested.length > 0;
+
+  let list = document.getElementById("ignored");
+  while (list.firstChild) {
+    list.firstChild.remove();
+  }
+
+  for (let host of ignored) {
+    let item = document.createElement("li");
+    item.textContent = host + " ";
+    item.appendChild(
+      createActionButton("ui.suggest.unignore", "suggestion-unignore", host));
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Renders the log of failed loads on enforced hosts.
+ *
+ * @param {Array} failures
+ *        An array of objects with form { host, enforcingHost, reason, time }.
+ */
+function renderFailures(failures) {
+  let body = document.querySelector("#failures tbody");
+  while (body.firstChild) {
+    body.firstChild.remove();
+  }
+
+  for (let { host, enforcingHost, reason, time } of failures) {
+    let row = document.createElement("tr");
+    for (let text of [new Date(time).toLocaleString(), host, enforcingHost,
+                      reason]) {
+      let cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+
+    body.appendChild(row);
+  }
+
+  document.getElementById("failures-empty").hidden = failures.length > 0;
+}
+
+/**
+ * Renders the log of changes to the enforced hosts.
+ *
+ * @param {Array} changes
+ *        An array of objects with form { id, time, host, description,
+ *        source }.
+ */
+function renderChanges(changes) {
+  let body = document.querySelector("#changes tbody");
+  while (body.firstChild) {
+    body.firstChild.remove();
+  }
+
+  for (let { id, time, host, description, source } of changes) {
+    let row = document.createElement("tr");
+    for (let text of [new Date(time).toLocaleString(), host, description,
+                      source]) {
+      let cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+
+    let actions = document.createElement("td");
+    let revert = document.createElement("button");
+    revert.textContent = strings["ui.history.revert"];
+    revert.addEventListener("click", () => self.port.emit("revert", { id }));
+    actions.appendChild(revert);
+    row.appendChild(actions);
+
+    body.appendChild(row);
+  }
+
+  document.getElementById("changes-empty").hidden = changes.length > 0;
+}
+
+/**
+ * Renders the candidates found in the browsing history.
+ *
+ * @param {Array} candidates
+ *        An array of objects with form { domain, hosts, includeSubdomains }.
+ */
+function renderScan(candidates) {
+  let body = document.querySelector("#scan tbody");
+  while (body.firstChild) {
+    body.firstChild.remove();
+  }
+
+  for (let { domain, hosts, includeSubdomains } of candidates) {
+    let row = document.createElement("tr");
+    row.dataset.domain = domain;
+
+    let select = document.createElement("td");
+    let selected = document.createElement("input");
+    selected.type = "checkbox";
+    selected.className = "scan-select";
+    selected.checked = true;
+    select.appendChild(selected);
+
+    let name = document.createElement("td");
+    name.textContent = domain;
+
+    let list = document.createElement("td");
+    list.textContent = hosts.join(", ");
+
+    let include = document.createElement("td");
+    let checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "scan-include";
+    checkbox.checked = includeSubdomains;
+    include.appendChild(checkbox);
+
+    row.appendChild(select);
+    row.appendChild(name);
+    row.appendChild(list);
+    row.appendChild(include);
+    body.appendChild(row);
+  }
+
+  document.getElementById("scan-empty").hidden = candidates.length > 0;
+  document.getElementById("scan-enforce").hidden = candidates.length === 0;
+  document.getElementById("scan-results").hidden = false;
+}
+
+/**
+ * Starts the import of the selected file by asking for a preview.
+ */
+function previewImport() {
+  let file = document.getElementById("import-file").files[0];
+  if (!file) {
+    return;
+  }
+
+  let replace =
+    document.querySelector("[name=import-mode]:checked").value === "replace";
+
+  let reader = new FileReader();
+  reader.addEventListener("load", () => {
+    error.hidden = true;
+    self.port.emit("import-preview", { text: reader.result, replace });
+  });
+  reader.readAsText(file);
+}
+
+/**
+ * Shows what the import is about to change.
+ *
+ * @param {Object} preview
+ *        An object with form { added, conflicts, removed, invalid }.
+ */
+function renderPreview({ added, conflicts, removed, invalid }) {
+  let summary = document.getElementById("import-summary");
+  while (summary.firstChild) {
+    summary.firstChild.remove();
+  }
+
+  let describe = includeSubdomains => includeSubdomains ?
+    strings["ui.import.with_sub"] : strings["ui.import.without_sub"];
+
+  let sections = [
+    ["ui.import.added", added],
+    ["ui.import.conflicts", conflicts.map(({ host, current, imported }) =>
+      `${host}: ${describe(current)} \u2192 ${describe(imported)}`)],
+    ["ui.import.removed", removed],
+    ["ui.import.invalid", invalid],
+  ];
+
+  for (let [key, items] of sections) {
+    if (items.length === 0) {
+      continue;
+    }
+
+    let header = document.createElement("h3");
+    header.textContent = strings[key];
+    summary.appendChild(header);
+
+    let list = document.createElement("ul");
+    for (let item of items) {
+      let li = document.createElement("li");
+      li.textContent = item;
+      list.appendChild(li);
+    }
+    summary.appendChild(list);
+  }
+
+  if (!summary.firstChild) {
+    summary.textContent = strings["ui.import.nothing"];
+  }
+
+  document.getElementById("import-preview").hidden = false;
+}
+
+/**
+ * Hides the import preview and clears the selected file.
+ */
+function resetImport() {
+  document.getElementById("import-preview").hidden = true;
+  document.getElementById("import-file").value = "";
+}
+
+document.getElementById("export").addEventListener("click", () => {
+  self.port.emit("export");
+});
+
+document.getElementById("import-file").addEventListener("change", previewImport);
+for (let radio of document.querySelectorAll("[name=import-mode]")) {
+  radio.addEventListener("change", previewImport);
+}
+
+document.getElementById("import-apply").addEventListener("click", () => {
+  self.port.emit("import-apply");
+  resetImport();
+});
+
+document.getElementById("import-cancel").addEventListener("click", () => {
+  self.port.emit("import-cancel");
+  resetImport();
+});
+
+document.getElementById("discarded-dismiss").addEventListener("click", () => {
+  self.port.emit("discarded-dismiss");
+});
+
+document.getElementById("scan-start").addEventListener("click", () => {
+  self.port.emit("scan");
+});
+
+document.getElementById("scan-enforce").addEventListener("click", () => {
+  let selected = [];
+  for (let row of document.querySelectorAll("#scan tbody tr")) {
+    if (row.querySelector(".scan-select").checked) {
+      selected.push({
+        domain: row.dataset.domain,
+        includeSubdomains: row.querySelector(".scan-include").checked
+      });
+    }
+  }
+
+  self.port.emit("scan-enforce", { selected });
+});
+
+search.addEventListener("input", render);
+sort.addEventListener("change", render);
+
+self.port.on("hosts", list => {
+  hosts = list;
+  render();
+});
+
+self.port.on("export", json => {
+  let link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+  link.download = "enforce-hsts.json";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+});
+
+self.port.on("repairs", summary => {
+  let repairs = document.getElementById("repairs");
+  repairs.textContent = summary;
+  repairs.hidden = !summary;
+});
+
+self.port.on("discarded", reasons => {
+  let items = document.getElementById("discarded-hosts");
+  while (items.firstChild) {
+    items.firstChild.remove();
+  }
+
+  for (let reason of reasons) {
+    let item = document.createElement("li");
+    item.textContent = reason;
+    items.appendChild(item);
+  }
+
+  document.getElementById("discarded").hidden = reasons.length === 0;
+});
+
+self.port.on("admin-hosts", list => {
+  let items = document.getElementById("admin-hosts");
+  while (items.firstChild) {
+    items.firstChild.remove();
+  }
+
+  for (let { host, includeSubdomains } of list) {
+    let item = document.createElement("li");
+    item.textContent = host + " (" + (includeSubdomains ?
+      strings["ui.import.with_sub"] : strings["ui.import.without_sub"]) + ")";
+    items.appendChild(item);
+  }
+
+  document.getElementById("admin").hidden = list.length === 0;
+});
+
+self.port.on("suggestions", renderSuggestions);
+
+self.port.on("failures", renderFailures);
+
+self.port.on("changes", renderChanges);
+
+self.port.on("import-preview", renderPreview);
+
+self.port.on("scan", renderScan);
+
+self.port.on("error", message => {
+  error.textContent = message;
+  error.hidden = false;
+});
+
+localize();
@@ -0,0 +1,42 @@
+/* eslint-env browser */
+/* global self */
+
+const enforce = document.getElementById("enforce");
+const include = document.getElementById("include");
+const suspendAll = document.getElementById("suspend-all");
+
+for (let el of document.querySelectorAll("[data-l10n]")) {
+  el.textContent = self.options.strings[el.dataset.l10n];
+}
+
+/**
+ * Sends the state of the checkboxes to the addon.
+ */
+function update() {
+  self.port.emit("update", {
+    enforce: enforce.checked,
+    include: include.checked
+  });
+}
+
+enforce.addEventListener("change", update);
+include.addEventListener("change", update);
+suspendAll.addEventListener("change", () => {
+  self.port.emit("suspend-all", suspendAll.checked);
+});
+
+self.port.on("state", state => {
+  document.getElementById("host").textContent = state.host;
+  document.getElementById("status").textContent = state.message;
+
+  enforce.checked = state.enforce;
+  include.checked = state.include;
+  enforce.parentNode.hidden = !state.editable;
+  include.parentNode.hidden = !state.editable;
+
+  let suspended = document.getElementById("suspended");
+  suspended.textContent = state.suspended;
+  suspended.hidden = !state.suspended;
+  suspendAll.checked = state.suspendAll;
+  suspendAll.parentNode.hidden = !state.canSuspend;
+});
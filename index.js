@@ -1,9 +1,40 @@
 const { Enforcer } = require("./lib/enforcer");
 const { IdentityPopupIntegration } = require("./lib/identity-popup-integration");
+const { ManagementPage } = require("./lib/management-page");
+const { Suggestions } = require("./lib/suggestions");
+const { DowngradeMonitor } = require("./lib/downgrade-monitor");
+const { StateGuard } = require("./lib/state-guard");
+const { Upgrader } = require("./lib/upgrader");
+const { SubresourceTracker } = require("./lib/subresource-tracker");
+const { FailureMonitor } = require("./lib/failure-monitor");
+const { ToolbarButton } = require("./lib/toolbar-button");
+const { Commands } = require("./lib/commands");
+const { SiteState } = require("./lib/site-state");
 
 Enforcer.init();
 IdentityPopupIntegration.init();
+ManagementPage.init();
+Suggestions.init();
+DowngradeMonitor.init();
+StateGuard.init();
+Upgrader.init();
+SubresourceTracker.init();
+FailureMonitor.init();
+ToolbarButton.init();
+Commands.init();
+SiteState.init();
 
 exports.onUnload = function () {
+  SiteState.destroy();
+  Commands.destroy();
+  ToolbarButton.destroy();
+  FailureMonitor.destroy();
+  SubresourceTracker.destroy();
+  Upgrader.destroy();
+  StateGuard.destroy();
+  DowngradeMonitor.destroy();
+  Suggestions.destroy();
   IdentityPopupIntegration.destroy();
+  ManagementPage.destroy();
+  Enforcer.destroy();
 };
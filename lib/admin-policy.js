@@ -0,0 +1,136 @@
+const { Cc, Ci } = require("chrome");
+const Prefs = require("sdk/preferences/service");
+const File = require("sdk/io/file");
+
+const { Hostname } = require("./hostname");
+
+// The pref an administrator may set to the policy JSON.
+const POLICY_PREF = "extensions.enforce-hsts.policy";
+
+// The name of the policy file in the profile or distribution directory.
+const POLICY_FILE = "enforce-hsts-policy.json";
+
+// The directories searched for the policy file, in order.
+const POLICY_DIRS = ["ProfD", "XREAppDist"];
+
+/**
+ * Hosts an administrator has enforced. The policy is JSON of form
+ * { "hosts": { "example.com": { "includeSubdomains": true } } } and is read
+ * from a pref or a file on startup. The entries are kept apart from the
+ * user's own hosts and can't be changed from the addon.
+ */
+const AdminPolicy = {
+  /**
+   * Reads the policy. The pref is preferred over the files.
+   */
+  load: function () {
+    this.entries = {};
+
+    let text = Prefs.get(POLICY_PREF, "") || this.readFile();
+    if (!text) {
+      return;
+    }
+
+    try {
+      this.entries = this.parse(text);
+    } catch (e) {
+      console.error("Ignoring invalid enforcement policy: " + e.message);
+    }
+  },
+
+  /**
+   * Reads the first policy file found.
+   *
+   * @return {String|null} The contents of the file or null if there is none.
+   */
+  readFile: function () {
+    let dirService = Cc["@mozilla.org/file/directory_service;1"]
+                       .getService(Ci.nsIProperties);
+
+    for (let key of POLICY_DIRS) {
+      let dir;
+      try {
+        dir = dirService.get(key, Ci.nsIFile);
+      } catch (e) {
+        // The directory is not defined.
+        continue;
+      }
+
+      let path = File.join(dir.path, POLICY_FILE);
+      if (File.exists(path)) {
+        return File.read(path);
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Parses the policy JSON.
+   *
+   * @param {String} text
+   *        The policy.
+   * @return {Object} The entries with form { includeSubdomains, scope } keyed
+   *   by the host.
+   * @throws {Error} If the policy is not valid.
+   */
+  parse: function (text) {
+    let data = JSON.parse(text);
+    if (!data || typeof data.hosts !== "object" || data.hosts === null) {
+      throw new Error("The policy has no hosts.");
+    }
+
+    let entries = {};
+    for (let host of Object.keys(data.hosts)) {
+      let { host: name, error } = Hostname.validate(host);
+      if (!name) {
+        console.error("Ignoring host in enforcement policy: " + error);
+        continue;
+      }
+
+      let settings = data.hosts[host] || {};
+      entries[name] = {
+        includeSubdomains: !!settings.includeSubdomains,
+        scope: "both"
+      };
+    }
+
+    return entries;
+  },
+
+  /**
+   * Returns the hosts the policy enforces.
+   *
+   * @return {Object} The entries with form { includeSubdomains, scope } keyed
+   *   by the host.
+   */
+  getEntries: function () {
+    return this.entries || {};
+  },
+
+  /**
+   * Returns the policy entry that enforces STS for the host.
+   *
+   * @param {String} host
+   *        The host to check.
+   * @return {String|null} The host of the entry (the host itself or an
+   *   ancestor that includes subdomains) or null if the policy doesn't cover
+   *   the host.
+   */
+  getEnforcingHost: function (host) {
+    let entries = this.getEntries();
+    let labels = host.split(".");
+
+    for (let i = 0; i < labels.length - 1; i++) {
+      let candidate = labels.slice(i).join(".");
+      let entry = entries[candidate];
+      if (entry && (i === 0 || entry.includeSubdomains)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  },
+};
+
+exports.AdminPolicy = AdminPolicy;
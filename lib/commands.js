@@ -0,0 +1,242 @@
+const { Cu } = require("chrome");
+const _ = require("sdk/l10n").get;
+
+const { Enforcer } = require("./enforcer");
+const { Duration } = require("./duration");
+const { Hostname } = require("./hostname");
+
+// The locations of the developer command line module in different versions
+// of the browser.
+const GCLI_MODULES = [
+  "resource://devtools/shared/gcli/gcli.jsm",
+  "resource://gre/modules/devtools/gcli.jsm",
+];
+
+const Commands = {
+  /**
+   * Adds the hsts commands to the developer command line.
+   */
+  init: function () {
+    this.gcli = this.loadGCLI();
+    if (!this.gcli) {
+      // Developer tools are not available.
+      return;
+    }
+
+    for (let command of this.getCommands()) {
+      this.gcli.addCommand(command);
+    }
+  },
+
+  /**
+   * Loads the developer command line module.
+   *
+   * @return {Object|null} The gcli object or null if it's not available.
+   */
+  loadGCLI: function () {
+    for (let url of GCLI_MODULES) {
+      try {
+        return Cu.import(url, {}).gcli;
+      } catch (e) {
+        // Try the next location.
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Returns the specifications of the commands.
+   *
+   * @return {Array} The command specifications for gcli.addCommand().
+   */
+  getCommands: function () {
+    let hostParam = {
+      name: "host",
+      type: "string",
+      description: _("cli.param.host")
+    };
+
+    return [
+      {
+        name: "hsts",
+        description: _("cli.hsts")
+      },
+      {
+        name: "hsts status",
+        description: _("cli.hsts.status"),
+        params: [hostParam],
+        returnType: "string",
+        exec: args => this.status(args.host)
+      },
+      {
+        name: "hsts enforce",
+        description: _("cli.hsts.enforce"),
+        params: [hostParam, {
+          name: "subdomains",
+          type: "boolean",
+          description: _("cli.param.subdomains")
+        }],
+        returnType: "string",
+        exec: args => this.enforce(args.host, args.subdomains)
+      },
+      {
+        name: "hsts remove",
+        description: _("cli.hsts.remove"),
+        params: [hostParam],
+        returnType: "string",
+        exec: args => this.remove(args.host)
+      },
+      {
+        name: "hsts list",
+        description: _("cli.hsts.list"),
+        returnType: "string",
+        exec: () => this.list()
+      },
+    ];
+  },
+
+  /**
+   * Describes the status of a host.
+   *
+   * @param {String} input
+   *        The host given by the user.
+   * @return {String} A table with the host, its status and the enforcing
+   *   parent host.
+   */
+  status: function (input) {
+    let { host, error } = Hostname.validate(input);
+    if (!host) {
+      return error;
+    }
+
+    return this.formatTable([
+      [_("cli.column.host"), _("cli.column.status"), _("cli.column.parent")],
+      [host, _("cli.status." + Enforcer.getSTSStatusForHost(host)),
+       this.parentFor(host)],
+    ]);
+  },
+
+  /**
+   * Returns the user enforced parent of a host for the tables.
+   *
+   * @param {String} host
+   *        The host to check.
+   * @return {String} The enforcing parent host or "-" if there is none.
+   */
+  parentFor: function (host) {
+    let parent = Enforcer.getEnforcingParentHost(host);
+    return parent && parent !== host ? parent : "-";
+  },
+
+  /**
+   * Enforces STS for a host.
+   *
+   * @param {String} input
+   *        The host given by the user.
+   * @param {Boolean} includeSubdomains
+   *        True to include subdomains.
+   * @return {String} The new status of the host or the reason it was not
+   *   changed.
+   */
+  enforce: function (input, includeSubdomains) {
+    let { host, error } = Hostname.validate(input);
+    if (!host) {
+      return error;
+    }
+
+    Enforcer.setSTSForHost(host, true, !!includeSubdomains, undefined,
+                           undefined, Enforcer.source.COMMAND);
+    if (!Enforcer.storage.enforceHosts[host]) {
+      // setSTSForHost() leaves parent and admin enforced hosts untouched.
+      return _("ui.manage.error.not_changed", host) + "\n" +
+             this.status(host);
+    }
+
+    return this.status(host);
+  },
+
+  /**
+   * Removes the user enforcement of a host.
+   *
+   * @param {String} input
+   *        The host given by the user.
+   * @return {String} The new status of the host.
+   */
+  remove: function (input) {
+    let { host, error } = Hostname.validate(input);
+    if (!host) {
+      return error;
+    }
+
+    Enforcer.setSTSForHost(host, false, false, undefined, undefined,
+                           Enforcer.source.COMMAND);
+    return this.status(host);
+  },
+
+  /**
+   * Lists the user enforced hosts.
+   *
+   * @return {String} A table of the hosts.
+   */
+  list: function () {
+    let hosts = Enforcer.getEnforcedHosts();
+    if (hosts.length === 0) {
+      return _("ui.manage.empty");
+    }
+
+    hosts.sort((a, b) => a.host.localeCompare(b.host));
+
+    let rows = [[_("cli.column.host"), _("cli.column.subdomains"),
+                 _("cli.column.expires"), _("cli.column.scope"),
+                 _("cli.column.parent")]];
+    for (let { host, includeSubdomains, scope } of hosts) {
+      let remaining = Enforcer.getRemainingTime(host);
+      rows.push([
+        host,
+        includeSubdomains ? _("cli.yes") : _("cli.no"),
+        remaining === null ?
+          _("ui.duration.forever") : Duration.formatRemaining(remaining),
+        _("ui.scope." + scope),
+        this.parentFor(host)
+      ]);
+    }
+
+    return this.formatTable(rows);
+  },
+
+  /**
+   * Formats rows of text into aligned columns.
+   *
+   * @param {Array} rows
+   *        An array of rows, each an array of cells. The first row is the
+   *        header.
+   * @return {String} The table.
+   */
+  formatTable: function (rows) {
+    let widths = rows[0].map((cell, i) =>
+      Math.max(...rows.map(row => String(row[i]).length)));
+
+    let format = row => row.map((cell, i) => i === row.length - 1 ?
+      String(cell) : String(cell) + " ".repeat(widths[i] - String(cell).length))
+      .join("  ");
+
+    let lines = rows.map(format);
+    lines.splice(1, 0, widths.map(width => "-".repeat(width)).join("  "));
+    return lines.join("\n");
+  },
+
+  destroy: function () {
+    if (!this.gcli) {
+      return;
+    }
+
+    for (let { name } of this.getCommands().reverse()) {
+      this.gcli.removeCommand(name);
+    }
+
+    this.gcli = null;
+  },
+};
+
+exports.Commands = Commands;
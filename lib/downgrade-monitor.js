@@ -0,0 +1,367 @@
+const { Ci } = require("chrome");
+const Events = require("sdk/system/events");
+const SimpleStorage = require("sdk/simple-storage");
+const Tabs = require("sdk/tabs");
+const ViewFor = require("sdk/view/core").viewFor;
+const { URL } = require("sdk/url");
+const { setTimeout } = require("sdk/timers");
+const _ = require("sdk/l10n").get;
+
+const { Enforcer } = require("./enforcer");
+
+const NOTIFICATION_VALUE = "enforce-hsts-downgrade";
+
+// The maximum number of site policies to keep track of. The least recently
+// seen hosts are dropped first.
+const MAX_TRACKED_HOSTS = 500;
+
+const DowngradeMonitor = {
+  /**
+   * Kinds of downgrades a site can make to its STS policy.
+   */
+  downgrade: {
+    /**
+     * The site sent max-age=0 or stopped sending the header.
+     */
+    REMOVED: "REMOVED",
+
+    /**
+     * The site shortened the max-age or dropped includeSubDomains.
+     */
+    SHORTENED: "SHORTENED",
+  },
+
+  /**
+   * Starts observing the STS headers of the sites.
+   */
+  init: function () {
+    this.onExamineResponse = this.onExamineResponse.bind(this);
+    this.onTabReady = this.onTabReady.bind(this);
+    this.onPrivateExit = this.onPrivateExit.bind(this);
+
+    // The policies seen in private contexts. They are kept in memory only
+    // and forgotten when the last private window closes.
+    this.privateHeaders = new Map();
+
+    // Downgrades waiting to be shown when the host is loaded in a tab. Maps
+    // hosts to objects with form { kind, previous }.
+    this.pending = new Map();
+
+    if (!this.storage.siteHeaders) {
+      this.storage.siteHeaders = {};
+    }
+
+    Events.on("http-on-examine-response", this.onExamineResponse, true);
+    Events.on("last-pb-context-exited", this.onPrivateExit, true);
+    Tabs.on("ready", this.onTabReady);
+  },
+
+  /**
+   * Forgets the policies seen in private contexts.
+   */
+  onPrivateExit: function () {
+    this.privateHeaders.clear();
+  },
+
+  /**
+   * Keeps the user enforcement of the hosts over the STS headers they send
+   * and checks the headers of secure top-level responses for downgrades.
+   */
+  onExamineResponse: function ({ subject }) {
+    let channel = subject.QueryInterface(Ci.nsIHttpChannel);
+
+    if (!channel.URI.schemeIs("https")) {
+      return;
+    }
+
+    let header = null;
+    try {
+      header = channel.getResponseHeader("Strict-Transport-Security");
+    } catch (e) {
+      // NS_ERROR_NOT_AVAILABLE, the header is missing.
+    }
+
+    let host = Enforcer.keyFor(channel.URI.asciiHost);
+    let entry = Enforcer.storage.enforceHosts[host];
+    if (entry && header !== null) {
+      // The browser processes the header after this notification and might
+      // overwrite or remove the user enforcement, whether the response is a
+      // page or a subresource. Restore it afterwards. Nothing was changed
+      // for the user so the restore is neither logged nor notified.
+      setTimeout(() => {
+        if (Enforcer.storage.enforceHosts[host] === entry &&
+            !Enforcer.isSuspended(entry) &&
+            !Enforcer.isEntryApplied(host, entry)) {
+          Enforcer.enableEntry(host, entry);
+        }
+      }, 0);
+    }
+
+    if (!(channel.loadFlags & Ci.nsIChannel.LOAD_DOCUMENT_URI)) {
+      // Downgrades are only reported for the pages the user visits.
+      return;
+    }
+
+    if (channel instanceof Ci.nsIPrivateBrowsingChannel &&
+        channel.isChannelPrivate) {
+      // Don't leave traces of private browsing.
+      this.recordPrivateHeader(host, header);
+      return;
+    }
+
+    let downgrade = this.checkHeader(host, header);
+    if (downgrade && !entry) {
+      this.pending.set(host, downgrade);
+    }
+  },
+
+  /**
+   * Compares the STS header of a response with the previous header of the
+   * host and stores the new policy.
+   *
+   * @param {String} host
+   *        The host that sent the response.
+   * @param {String|null} header
+   *        The value of the Strict-Transport-Security header or null if the
+   *        header was missing.
+   * @return {Object|null} An object with form { kind, previous } where kind is
+   *   one of DowngradeMonitor.downgrade constants and previous the earlier
+   *   policy, or null if the policy was not downgraded.
+   */
+  checkHeader: function (host, header) {
+    let previous = this.storage.siteHeaders[host] || null;
+    let policy = header === null ? null : this.parseHeader(header);
+
+    if (header !== null && policy === null) {
+      // The browser ignores invalid headers so they change nothing.
+      return null;
+    }
+
+    if (header === null) {
+      // A page without the header leaves the policy in effect until it
+      // expires, so only an expired policy counts as removed.
+      if (!previous ||
+          previous.lastSeen + previous.maxAge * 1000 > Date.now()) {
+        return null;
+      }
+
+      delete this.storage.siteHeaders[host];
+      return { kind: this.downgrade.REMOVED, previous };
+    }
+
+    if (policy.maxAge > 0) {
+      this.storage.siteHeaders[host] = {
+        maxAge: policy.maxAge,
+        includeSubdomains: policy.includeSubdomains,
+        lastSeen: Date.now()
+      };
+      this.prune();
+    } else {
+      delete this.storage.siteHeaders[host];
+    }
+
+    if (!previous) {
+      return null;
+    }
+
+    if (policy.maxAge === 0) {
+      return { kind: this.downgrade.REMOVED, previous };
+    }
+
+    if (policy.maxAge < previous.maxAge ||
+        (previous.includeSubdomains && !policy.includeSubdomains)) {
+      return { kind: this.downgrade.SHORTENED, previous };
+    }
+
+    return null;
+  },
+
+  /**
+   * Drops the least recently seen site policies when there are too many.
+   */
+  prune: function () {
+    let hosts = Object.keys(this.storage.siteHeaders);
+    if (hosts.length <= MAX_TRACKED_HOSTS) {
+      return;
+    }
+
+    hosts.sort((a, b) => this.storage.siteHeaders[a].lastSeen -
+                         this.storage.siteHeaders[b].lastSeen);
+
+    for (let host of hosts.slice(0, hosts.length - MAX_TRACKED_HOSTS)) {
+      delete this.storage.siteHeaders[host];
+    }
+  },
+
+  /**
+   * Remembers the policy a host sent in a private context.
+   *
+   * @param {String} host
+   *        The host that sent the response.
+   * @param {String|null} header
+   *        The value of the Strict-Transport-Security header or null if the
+   *        header was missing.
+   */
+  recordPrivateHeader: function (host, header) {
+    let policy = header === null ? null : this.parseHeader(header);
+    if (!policy) {
+      // A missing or invalid header doesn't change the policy.
+      return;
+    }
+
+    if (policy.maxAge > 0) {
+      this.privateHeaders.set(host, {
+        maxAge: policy.maxAge,
+        includeSubdomains: policy.includeSubdomains,
+        lastSeen: Date.now()
+      });
+    } else {
+      this.privateHeaders.delete(host);
+    }
+  },
+
+  /**
+   * Returns the policy the site has set for the host with the last header
+   * that is still in effect. The policy may come from an ancestor domain
+   * that includes subdomains.
+   *
+   * @param {String} host
+   *        The host to check.
+   * @param {Boolean} isPrivate
+   *        True to check private contexts, false to check normal ones.
+   * @return {Object|null} An object with form { source, maxAge,
+   *   includeSubdomains, expires } where source is the host that sent the
+   *   header and expires a timestamp in ms, or null if no header is known.
+   */
+  getSitePolicy: function (host, isPrivate) {
+    let lookup = candidate => {
+      // Private contexts see the permanent state too.
+      let record = isPrivate ? this.privateHeaders.get(candidate) : null;
+      return record || (this.storage.siteHeaders || {})[candidate];
+    };
+
+    let labels = host.split(".");
+    for (let i = 0; i < labels.length - 1; i++) {
+      let source = labels.slice(i).join(".");
+      let record = lookup(source);
+      if (!record || (i > 0 && !record.includeSubdomains)) {
+        continue;
+      }
+
+      let expires = record.lastSeen + record.maxAge * 1000;
+      if (expires <= Date.now()) {
+        continue;
+      }
+
+      return {
+        source,
+        maxAge: record.maxAge,
+        includeSubdomains: record.includeSubdomains,
+        expires
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Parses a Strict-Transport-Security header.
+   *
+   * @param {String} header
+   *        The header value.
+   * @return {Object|null} An object with form { maxAge, includeSubdomains } or
+   *   null if the header is not valid.
+   */
+  parseHeader: function (header) {
+    let maxAge = null;
+    let includeSubdomains = false;
+
+    for (let directive of header.split(";")) {
+      let [name, value] = directive.split("=").map(part => part.trim());
+      name = name.toLowerCase();
+
+      if (name === "max-age" && value !== undefined) {
+        value = value.replace(/^"(.*)"$/, "$1");
+        if (!/^\d+$/.test(value)) {
+          return null;
+        }
+
+        maxAge = Number(value);
+      } else if (name === "includesubdomains") {
+        includeSubdomains = true;
+      }
+    }
+
+    if (maxAge === null) {
+      return null;
+    }
+
+    return { maxAge, includeSubdomains };
+  },
+
+  /**
+   * Shows the pending downgrade warning when the host is loaded.
+   */
+  onTabReady: function (tab) {
+    let url = URL(tab.url);
+    let downgrade = url.host && this.pending.get(url.host);
+    if (!downgrade) {
+      return;
+    }
+
+    this.pending.delete(url.host);
+    this.showNotification(tab, url.host, downgrade);
+  },
+
+  /**
+   * Shows a notification bar offering to keep STS enforced for the host.
+   *
+   * @param {Tab} tab
+   *        The tab to show the notification in.
+   * @param {String} host
+   *        The host that downgraded its policy.
+   * @param {Object} downgrade
+   *        An object with form { kind, previous }.
+   */
+  showNotification: function (tab, host, { kind, previous }) {
+    let xulTab = ViewFor(tab);
+    if (!xulTab) {
+      return;
+    }
+
+    let message = kind === this.downgrade.REMOVED ?
+      _("ui.downgrade.removed", host) : _("ui.downgrade.shortened", host);
+
+    let gBrowser = xulTab.ownerDocument.defaultView.gBrowser;
+    let box = gBrowser.getNotificationBox(xulTab.linkedBrowser);
+
+    box.appendNotification(message, NOTIFICATION_VALUE, null,
+      box.PRIORITY_WARNING_MEDIUM, [
+        {
+          label: _("ui.downgrade.keep"),
+          accessKey: "",
+          callback: () => {
+            Enforcer.setSTSForHost(host, true,
+                                   !!(previous && previous.includeSubdomains),
+                                   undefined, undefined,
+                                   Enforcer.source.DOWNGRADE);
+          }
+        },
+      ]);
+  },
+
+  destroy: function () {
+    Events.off("http-on-examine-response", this.onExamineResponse);
+    Events.off("last-pb-context-exited", this.onPrivateExit);
+    Tabs.removeListener("ready", this.onTabReady);
+  },
+
+  /**
+   * Returns the SimpleStorage object for this addon.
+   */
+  get storage () {
+    return SimpleStorage.storage;
+  },
+};
+
+exports.DowngradeMonitor = DowngradeMonitor;
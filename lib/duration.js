@@ -0,0 +1,54 @@
+const _ = require("sdk/l10n").get;
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const Duration = {
+  /**
+   * The enforcement durations the user can choose from. The seconds value 0
+   * means forever.
+   */
+  choices: [
+    { id: "forever", seconds: 0 },
+    { id: "day", seconds: DAY },
+    { id: "week", seconds: 7 * DAY },
+    { id: "month", seconds: 30 * DAY },
+    { id: "year", seconds: 365 * DAY },
+  ],
+
+  /**
+   * Returns the choices with localized labels.
+   *
+   * @return {Array} An array of objects with form { seconds, label }.
+   */
+  getLabeledChoices: function () {
+    return this.choices.map(({ id, seconds }) => ({
+      seconds,
+      label: _("ui.duration." + id)
+    }));
+  },
+
+  /**
+   * Formats the given amount of remaining time for humans.
+   *
+   * @param {Number} ms
+   *        The remaining time in ms.
+   * @return {String} The localized remaining time, e.g. "3 days".
+   */
+  formatRemaining: function (ms) {
+    let seconds = Math.ceil(ms / 1000);
+
+    if (seconds >= DAY) {
+      return _("ui.remaining.days", Math.floor(seconds / DAY));
+    }
+
+    if (seconds >= HOUR) {
+      return _("ui.remaining.hours", Math.floor(seconds / HOUR));
+    }
+
+    return _("ui.remaining.minutes", Math.max(1, Math.ceil(seconds / MINUTE)));
+  },
+};
+
+exports.Duration = Duration;
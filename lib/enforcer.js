@@ -1,174 +1,1634 @@
 const { Ci, Cc } = require("chrome");
 const SimpleStorage = require("sdk/simple-storage");
+const EventCore = require("sdk/event/core");
+const { setInterval, clearInterval, setTimeout, clearTimeout } =
+  require("sdk/timers");
+
+const { SSSBackend } = require("./sss-backend");
+const { RedirectBackend } = require("./redirect-backend");
+const { AdminPolicy } = require("./admin-policy");
+const { Hostname } = require("./hostname");
+
+// The max-age used for hosts that are enforced forever. The entries are
+// refreshed on every startup so they never run out.
+const DEFAULT_MAX_AGE = 31556900;
+
+// The label prepended to an enforced host to check that includeSubdomains
+// is in effect.
+const SUBDOMAIN_PROBE = "enforce-hsts-probe.";
+
+// How often expired entries are removed from the storage (in ms).
+const EXPIRY_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// The maximum number of changes kept in the change log.
+const MAX_CHANGES = 100;
+
+// The backends that apply the enforcement in the order of preference.
+const BACKENDS = [SSSBackend, RedirectBackend];
+
+/**
+ * The migrations of the enforceHosts storage. The function at index N
+ * migrates the entries from schema version N to version N + 1 in place. The
+ * second argument is a function (host, entry) that clears the site security
+ * service state of an entry whose key goes away.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: Hosts were stored as true and always included subdomains.
+  hosts => {
+    for (let host of Object.keys(hosts)) {
+      if (hosts[host] === true) {
+        hosts[host] = { includeSubdomains: true };
+      }
+    }
+  },
+
+  // 1 -> 2: Entries gained metadata. When and how older entries were added
+  // is not known.
+  hosts => {
+    for (let host of Object.keys(hosts)) {
+      let entry = hosts[host];
+      entry.added = entry.added || null;
+      entry.modified = entry.modified || null;
+      entry.source = entry.source || "unknown";
+      entry.note = entry.note || "";
+    }
+  },
+
+  // 2 -> 3: Hosts are normalized. Hosts that can no longer be enforced, such
+  // as single-label intranet names, are set aside so that the user can be
+  // told about them, and duplicates are merged, keeping the broader and older
+  // settings. The state of the old keys is cleared; the normalized hosts get
+  // theirs when STS is ensured.
+  (hosts, clearState, discard) => {
+    for (let key of Object.keys(hosts)) {
+      let entry = hosts[key];
+      let host = Hostname.normalize(key);
+      if (host !== key) {
+        clearState(key, entry);
+      }
+
+      delete hosts[key];
+
+      if (host === null) {
+        discard(key, entry);
+        continue;
+      }
+
+      let other = hosts[host];
+      if (!other) {
+        hosts[host] = entry;
+        continue;
+      }
+
+      let [kept, dropped] = entry.includeSubdomains && !other.includeSubdomains ?
+        [entry, other] : [other, entry];
+      if (dropped.added && (!kept.added || dropped.added < kept.added)) {
+        kept.added = dropped.added;
+      }
+
+      kept.note = [kept.note, dropped.note].filter(note => note).join("\n");
+      hosts[host] = kept;
+    }
+  },
+];
+
+// The current version of the storage schema.
+const SCHEMA_VERSION = MIGRATIONS.length;
 
 const Enforcer = {
   /**
-   * Possible statuses host might have.
+   * Possible statuses host might have.
+   */
+  status: {
+    /**
+     * Neither the site nor the user enforces STS.
+     */
+    NOT_ENFORCED: "NOT_ENFORCED",
+
+    /**
+     * The site enforces STS via Strict-Transport-Security header.
+     */
+    SITE_ENFORCED: "SITE_ENFORCED",
+
+    /**
+     * The site is on the preload list built into the browser.
+     */
+    PRELOADED: "PRELOADED",
+
+    /**
+     * User has enforced STS on this site.
+     */
+    USER_ENFORCED: "USER_ENFORCED",
+
+    /**
+     * User has enforced STS on this site and all subdomains.
+     */
+    USER_ENFORCED_WITH_SUBDOMAINS: "USER_ENFORCED_WITH_SUBDOMAINS",
+
+    /**
+     * User has enforced STS on a parent domain for this site.
+     */
+    USER_ENFORCED_PARENT: "USER_ENFORCED_PARENT",
+
+    /**
+     * User has exempted this site from the STS enforced on a parent domain.
+     */
+    USER_EXCEPTED: "USER_EXCEPTED",
+
+    /**
+     * An administrator has enforced STS on this site or a parent domain.
+     */
+    ADMIN_ENFORCED: "ADMIN_ENFORCED",
+  },
+
+  /**
+   * The browsing contexts an user enforced host may apply to.
+   */
+  scope: {
+    /**
+     * Both normal and private windows.
+     */
+    BOTH: "both",
+
+    /**
+     * Normal windows only.
+     */
+    NORMAL: "normal",
+
+    /**
+     * Private windows only.
+     */
+    PRIVATE: "private",
+  },
+
+  /**
+   * The events fired when the user enforced hosts change.
+   */
+  event: {
+    /**
+     * A host was enforced.
+     */
+    ADDED: "added",
+
+    /**
+     * The enforcement of a host was removed.
+     */
+    REMOVED: "removed",
+
+    /**
+     * The settings or the site security service state of an enforced host
+     * changed.
+     */
+    CHANGED: "changed",
+  },
+
+  /**
+   * The ways an user enforced host may have been added.
+   */
+  source: {
+    POPUP: "popup",
+    TOOLBAR: "toolbar",
+    MANAGER: "manager",
+    IMPORT: "import",
+    SUGGESTION: "suggestion",
+    HISTORY: "history",
+    DOWNGRADE: "downgrade",
+    UNDO: "undo",
+    COMMAND: "command",
+    SUBRESOURCE: "subresource",
+    FAILURE: "failure",
+    UNKNOWN: "unknown",
+  },
+
+  /**
+   * Possible public key pinning statuses host might have.
+   */
+  pinStatus: {
+    /**
+     * Neither the site nor the user has pinned keys for the host.
+     */
+    NOT_PINNED: "NOT_PINNED",
+
+    /**
+     * The site pins its keys via Public-Key-Pins header.
+     */
+    SITE_PINNED: "SITE_PINNED",
+
+    /**
+     * User has pinned the keys of this site.
+     */
+    USER_PINNED: "USER_PINNED",
+  },
+
+  /**
+   * Initialize the extension. Ensures that user specified hosts have STS set.
+   */
+  init: function () {
+    if (this.backend.init) {
+      this.backend.init();
+    }
+
+    AdminPolicy.load();
+    this.migrate();
+    this.ensureSTS();
+
+    this.expiryTimer = setInterval(() => {
+      this.removeExpired();
+      this.resumeSuspended();
+    }, EXPIRY_CHECK_INTERVAL);
+  },
+
+  /**
+   * Stops the background tasks of the Enforcer.
+   */
+  destroy: function () {
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+
+    if (this.resumeTimer) {
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = null;
+    }
+
+    EventCore.off(this);
+
+    if (this.backend.destroy) {
+      this.backend.destroy();
+    }
+  },
+
+  /**
+   * Adds a listener for one of Enforcer.event types.
+   *
+   * @param {String} type
+   *        One of Enforcer.event constants.
+   * @param {Function} listener
+   *        The function to call with an object of form { host, entry } where
+   *        entry is a copy of the storage entry after the change, or before
+   *        it for removed hosts.
+   */
+  on: function (type, listener) {
+    EventCore.on(this, type, listener);
+  },
+
+  /**
+   * Removes a listener added with on().
+   *
+   * @param {String} type
+   *        One of Enforcer.event constants.
+   * @param {Function} listener
+   *        The listener to remove.
+   */
+  removeListener: function (type, listener) {
+    EventCore.off(this, type, listener);
+  },
+
+  /**
+   * Notifies the listeners about a change of an user enforced host.
+   *
+   * @param {String} type
+   *        One of Enforcer.event constants.
+   * @param {String} host
+   *        The host that changed.
+   * @param {Object} entry
+   *        The storage entry of the host.
+   */
+  notify: function (type, host, entry) {
+    EventCore.emit(this, type, { host, entry: this.copyEntry(entry) });
+  },
+
+  /**
+   * Migrates the storage from the version it was written with to the current
+   * schema version one migration at a time.
+   */
+  migrate: function() {
+    let version = this.storage.schemaVersion || 0;
+    if (version > SCHEMA_VERSION) {
+      // Written by a newer version of the addon; leave it be.
+      return;
+    }
+
+    let clearState = (host, entry) => {
+      this.disableSTSForHost(host);
+      if (entry.pins) {
+        this.disablePinsForHost(host);
+      }
+    };
+
+    let discard = (host, entry) => {
+      console.warn("Discarded " + host + " while migrating: " +
+                   Hostname.validate(host).error);
+      this.storage.discardedHosts = this.storage.discardedHosts || {};
+      this.storage.discardedHosts[host] = entry;
+    };
+
+    let hosts = this.storage.enforceHosts || {};
+    for (; version < SCHEMA_VERSION; version++) {
+      MIGRATIONS[version](hosts, clearState, discard);
+    }
+
+    this.storage.enforceHosts = hosts;
+    this.storage.schemaVersion = SCHEMA_VERSION;
+  },
+
+  /**
+   * Ensures that the hosts user has specified enforce Strict Transport
+   * Security.
+   */
+  ensureSTS: function () {
+    if (!this.storage.enforceHosts) {
+      this.storage.enforceHosts = {};
+    }
+
+    this.removeExpired();
+    if (!this.isAllSuspended()) {
+      delete this.storage.suspendedAllUntil;
+    }
+
+    for (let host in this.storage.enforceHosts) {
+      let entry = this.storage.enforceHosts[host];
+
+      // Suspensions of single hosts are temporary and end when the state is
+      // ensured. Suspending all hosts lasts until its time runs out.
+      delete entry.suspendedUntil;
+      if (!this.isAllSuspended()) {
+        this.enableEntry(host, entry);
+      }
+    }
+
+    this.ensureAdminSTS();
+    this.scheduleResume();
+  },
+
+  /**
+   * Applies the hosts of the administrator's policy. They are applied after
+   * the user's hosts so that the policy wins.
+   *
+   * @param {String} scope
+   *        The contexts to apply the hosts to. Optional, defaults to both.
+   */
+  ensureAdminSTS: function (scope) {
+    let entries = AdminPolicy.getEntries();
+    for (let host of Object.keys(entries)) {
+      this.enableEntry(host, entries[host], scope);
+    }
+  },
+
+  /**
+   * Re-applies the policy entry of the host, if any, after its state has
+   * been changed for the user.
+   *
+   * @param {String} host
+   *        The host whose state changed.
+   */
+  restoreAdminEntry: function (host) {
+    let entry = AdminPolicy.getEntries()[host];
+    if (entry) {
+      this.enableEntry(host, entry);
+    }
+  },
+
+  /**
+   * Ensures that the hosts enforced in private windows have their state. The
+   * state of private contexts is kept in memory and cleared from time to
+   * time.
+   */
+  ensurePrivateSTS: function () {
+    for (let host in this.storage.enforceHosts) {
+      let entry = this.storage.enforceHosts[host];
+      if (!this.isSuspended(entry) && this.coversContext(entry, true)) {
+        this.enableEntry(host, entry, this.scope.PRIVATE);
+      }
+    }
+
+    this.ensureAdminSTS(this.scope.PRIVATE);
+  },
+
+  /**
+   * Re-applies the user enforced hosts whose state has been lost from the
+   * site security service, e.g. because the user cleared their history.
+   *
+   * @return {Array} The hosts whose state was restored.
+   */
+  repairSTS: function () {
+    this.removeExpired();
+
+    let repaired = [];
+    for (let host in this.storage.enforceHosts) {
+      let entry = this.storage.enforceHosts[host];
+      if (!this.isSuspended(entry) && !this.isEntryApplied(host, entry)) {
+        this.applyEntry(host, entry);
+        repaired.push(host);
+      }
+    }
+
+    let adminEntries = AdminPolicy.getEntries();
+    for (let host of Object.keys(adminEntries)) {
+      if (!this.isEntryApplied(host, adminEntries[host])) {
+        this.enableEntry(host, adminEntries[host]);
+        repaired.push(host);
+      }
+    }
+
+    return repaired;
+  },
+
+  /**
+   * Checks that the state of an user enforced host is present in the site
+   * security service in all the contexts of its scope.
+   *
+   * @param {String} host
+   *        The user enforced host.
+   * @param {Object} entry
+   *        The storage entry of the host.
+   * @return {Boolean} True if the state is present, false otherwise.
+   */
+  isEntryApplied: function (host, entry) {
+    let uri = this.getURI(host);
+    let subdomain = this.getURI(SUBDOMAIN_PROBE + host);
+
+    let backend = this.backend;
+
+    for (let flags of this.getFlagsForScope(entry.scope)) {
+      if (!backend.isSTSEnabled(uri, flags)) {
+        return false;
+      }
+
+      if (this.getSSSIncludeSubdomains(entry) &&
+          !backend.isSTSEnabled(subdomain, flags)) {
+        return false;
+      }
+
+      if (entry.pins && backend.supportsPins &&
+          !backend.isPinned(uri, flags)) {
+        return false;
+      }
+    }
+
+    return true;
+  },
+
+  /**
+   * Removes the entries whose enforcement period has ended.
+   */
+  removeExpired: function () {
+    if (!this.storage.enforceHosts) {
+      return;
+    }
+
+    let now = Date.now();
+    for (let host of Object.keys(this.storage.enforceHosts)) {
+      let { expires } = this.storage.enforceHosts[host];
+      if (expires && expires <= now) {
+        this.removeEntry(host);
+      }
+    }
+  },
+
+  /**
+   * Creates a storage entry for the given host.
+   *
+   * @param {String} host
+   *        The host to create the entry for.
+   * @param {Boolean} includeSubdomains
+   *        True to include subdomains.
+   * @param {Number} duration
+   *        How long the host is enforced in seconds, 0 for forever. If
+   *        undefined, the duration of the existing entry is used.
+   * @param {String} scope
+   *        One of Enforcer.scope constants. If undefined, the scope of the
+   *        existing entry is used.
+   * @param {String} source
+   *        One of Enforcer.source constants telling how the host was added.
+   *        Only used for new entries.
+   * @return {Object} The entry with form { includeSubdomains, duration,
+   *   expires, scope, pins, exceptions, added, modified, source, note } where
+   *   expires, added and modified are timestamps in ms. The pins, subdomain
+   *   exceptions, note and the time and source of addition are kept from
+   *   the existing entry.
+   */
+  createEntry: function (host, includeSubdomains, duration, scope, source) {
+    let previous = this.storage.enforceHosts[host];
+    let now = Date.now();
+    if (duration === undefined) {
+      duration = (previous && previous.duration) || 0;
+    }
+
+    if (scope === undefined) {
+      scope = (previous && previous.scope) || this.scope.BOTH;
+    }
+
+    let expires = null;
+    if (duration) {
+      // Keep the old expiry time unless the duration changes.
+      let unchanged = previous && previous.duration === duration &&
+                      previous.expires;
+      expires = unchanged ? previous.expires : now + duration * 1000;
+    }
+
+    let pins = (previous && previous.pins) || null;
+    let exceptions = (previous && previous.exceptions) || [];
+
+    let added = previous ? previous.added || null : now;
+
+    // Once the user state is set it hides the preload list, so check it
+    // before.
+    let preloaded = (previous && previous.preloaded) ||
+                    this.isOnPreloadList(host);
+    if (previous) {
+      source = previous.source;
+    }
+
+    return {
+      includeSubdomains,
+      duration,
+      expires,
+      scope,
+      pins,
+      exceptions,
+      added,
+      modified: now,
+      source: source || this.source.UNKNOWN,
+      note: (previous && previous.note) || "",
+      preloaded
+    };
+  },
+
+  /**
+   * Returns the max-age to use for the given entry.
+   *
+   * @param {Object} entry
+   *        The storage entry.
+   * @return {Number} The max-age in seconds.
+   */
+  getMaxAge: function (entry) {
+    if (!entry.expires) {
+      return DEFAULT_MAX_AGE;
+    }
+
+    return Math.max(0, Math.ceil((entry.expires - Date.now()) / 1000));
+  },
+
+  /**
+   * Turns a host into the form used as a storage key so that lookups match
+   * the stored entries, e.g. for IDN hosts and hosts with a trailing dot.
+   *
+   * @param {String} host
+   *        The host to look up.
+   * @return {String} The normalized host or the host as is if it can't be
+   *   enforced at all.
+   */
+  keyFor: function (host) {
+    return Hostname.normalize(host) || host;
+  },
+
+  /**
+   * Returns the time left until the user enforcement of the host ends.
+   *
+   * @param {String} host
+   *        The user enforced host.
+   * @return {Number|null} The time in ms or null if the host is enforced
+   *   forever or not enforced at all.
+   */
+  getRemainingTime: function (host) {
+    host = this.keyFor(host);
+
+    let entry = this.storage.enforceHosts[host];
+    if (!entry || !entry.expires) {
+      return null;
+    }
+
+    return Math.max(0, entry.expires - Date.now());
+  },
+
+  /**
+   * Returns all hosts the user has enforced STS for.
+   *
+   * @return {Array} An array of objects with form { host, includeSubdomains,
+   *   duration, expires, scope, pins, exceptions }.
+   */
+  getEnforcedHosts: function () {
+    if (!this.storage.enforceHosts) {
+      return [];
+    }
+
+    return Object.keys(this.storage.enforceHosts).map(host => {
+      let { includeSubdomains, duration, expires, scope, pins, exceptions,
+            added, modified, source, note } = this.storage.enforceHosts[host];
+      return {
+        host,
+        includeSubdomains,
+        duration: duration || 0,
+        expires: expires || null,
+        scope: scope || this.scope.BOTH,
+        pins: pins || null,
+        exceptions: exceptions || [],
+        added: added || null,
+        modified: modified || null,
+        source: source || this.source.UNKNOWN,
+        note: note || ""
+      };
+    });
+  },
+
+  /**
+   * Returns the current status for given host.
+   *
+   * @param {String} host
+   *        The hostname to check.
+   * @return {String} One of Enforcer.status constants.
+   */
+  getSTSStatusForHost: function (host) {
+    host = this.keyFor(host);
+
+    // Has an administrator enforced STS for this site or a parent?
+    if (AdminPolicy.getEnforcingHost(host) !== null) {
+      return this.status.ADMIN_ENFORCED;
+    }
+
+    // Has STS been enforced by the user on this site (exact domain match)?
+    if (this.storage.enforceHosts[host] !== undefined) {
+      if (this.storage.enforceHosts[host].includeSubdomains) {
+        return this.status.USER_ENFORCED_WITH_SUBDOMAINS;
+      }
+
+      return this.status.USER_ENFORCED;
+    }
+
+    // Has the user enforced STS for a parent host?
+    let parent = this.getEnforcingParentHost(host);
+    if (parent !== null) {
+      if (this.isExcepted(parent, host)) {
+        return this.status.USER_EXCEPTED;
+      }
+
+      return this.status.USER_ENFORCED_PARENT;
+    }
+
+    // Is the site on the built-in preload list?
+    if (this.isPreloaded(host, false)) {
+      return this.status.PRELOADED;
+    }
+
+    // Does the site enforce STS itself?
+    let uri = this.getURI(host);
+    if (SSSBackend.isSTSEnabled(uri, 0)) {
+      return this.status.SITE_ENFORCED;
+    }
+
+    // No STS for this site.
+    return this.status.NOT_ENFORCED;
+  },
+
+  /**
+   * Checks if the host is covered by the preload list built into the
+   * browser, either by an entry of its own or by an ancestor that includes
+   * subdomains.
+   *
+   * @param {String} host
+   *        The hostname to check.
+   * @param {Boolean} includeSubdomains
+   *        True to require that the subdomains of the host are covered too.
+   * @return {Boolean} True if the host is preloaded, false otherwise.
+   */
+  isPreloaded: function (host, includeSubdomains) {
+    let own = this.getPreloadEntry(host);
+    if (own && (own.includeSubdomains || !includeSubdomains)) {
+      return true;
+    }
+
+    let labels = host.split(".");
+    for (let i = 1; i < labels.length - 1; i++) {
+      let ancestor = this.getPreloadEntry(labels.slice(i).join("."));
+      if (ancestor && ancestor.includeSubdomains) {
+        return true;
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * Checks if the host itself is on the preload list. Removing the state of
+   * such a host stores a knockout entry that turns the preload list off for
+   * it, while the subdomains a preloaded ancestor covers get no knockout
+   * entry and stay covered by the ancestor.
+   *
+   * @param {String} host
+   *        The hostname to check.
+   * @return {Boolean} True if the host has an entry of its own, false if it
+   *   has none or the preload list applies to it through an ancestor.
+   */
+  isOnPreloadList: function (host) {
+    if (this.getPreloadEntry(host) === null) {
+      return false;
+    }
+
+    // The site security service answers for the subdomains of preloaded
+    // hosts as well.
+    let labels = host.split(".");
+    for (let i = 1; i < labels.length - 1; i++) {
+      let ancestor = this.getPreloadEntry(labels.slice(i).join("."));
+      if (ancestor && ancestor.includeSubdomains) {
+        return false;
+      }
+    }
+
+    return true;
+  },
+
+  /**
+   * Reads the preload list entry of the host from the site security service.
+   * Only answers that come from the preload list count; state set by the
+   * site or the user is ignored.
+   *
+   * @param {String} host
+   *        The hostname to check.
+   * @return {Object|null} An object with form { includeSubdomains } or null
+   *   if the host has no preload list entry or the browser can't tell.
+   */
+  getPreloadEntry: function (host) {
+    let fromPreloadList = target =>
+      SSSBackend.isPreloaded(this.getURI(target), 0);
+
+    if (!fromPreloadList(host)) {
+      return null;
+    }
+
+    return { includeSubdomains: fromPreloadList(SUBDOMAIN_PROBE + host) };
+  },
+
+  /**
+   * Checks if an user entry is redundant because the preload list already
+   * enforces STS for the host at least as broadly.
+   *
+   * @param {String} host
+   *        The user enforced host.
+   * @return {Boolean} True if the entry is redundant, false otherwise.
+   */
+  isRedundant: function (host) {
+    host = this.keyFor(host);
+
+    let entry = this.storage.enforceHosts[host];
+    return !!entry && this.isPreloaded(host, !!entry.includeSubdomains);
+  },
+
+  /**
+   * Get the host name that causes STS to be enforced on this site.
+   *
+   * @param {String} host
+   *        The hostname to check.
+   * @return {String|null} the hostname or null if STS is not enforced.
+   */
+  getEnforcingParentHost: function(host) {
+    host = this.keyFor(host);
+
+    let eTLDService = Cc["@mozilla.org/network/effective-tld-service;1"]
+                        .getService(Ci.nsIEffectiveTLDService);
+    for (let i = 0;; ++i) {
+      try {
+        // Is the parent domain enforced by user?
+        let hostparent = eTLDService.getBaseDomainFromHost(host, i);
+        if (this.storage.enforceHosts[hostparent] !== undefined)
+          return hostparent;
+
+      } catch (e) {
+        // NS_ERROR_INSUFFICIENT_DOMAIN_LEVELS comes when it's time to
+        // terminate the loop.
+        break;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Get all the user enforced parent domains of this site.
+   *
+   * @param {String} host
+   *        The hostname to check.
+   * @return {Array} The enforced parent hosts, closest parent first.
+   */
+  getEnforcedAncestorHosts: function (host) {
+    host = this.keyFor(host);
+
+    let eTLDService = Cc["@mozilla.org/network/effective-tld-service;1"]
+                        .getService(Ci.nsIEffectiveTLDService);
+    let ancestors = [];
+    for (let i = 0;; ++i) {
+      try {
+        let hostparent = eTLDService.getBaseDomainFromHost(host, i);
+        if (hostparent !== host &&
+            this.storage.enforceHosts[hostparent] !== undefined) {
+          ancestors.unshift(hostparent);
+        }
+      } catch (e) {
+        // NS_ERROR_INSUFFICIENT_DOMAIN_LEVELS, no more parents.
+        break;
+      }
+    }
+
+    return ancestors;
+  },
+
+  /**
+   * Toggles the STS ensuring state for given host.
+   *
+   * @param {String} host
+   *        The host to toggle.
+   * @param {Boolean} enforce
+   *        True to enforce STS, false to remove it.
+   * @param {Boolean} includeSubdomains
+   *        True to include subdomains, false to stop including subdomains.
+   * @param {Number} duration
+   *        How long to enforce STS in seconds, 0 for forever. Optional, keeps
+   *        the current duration if omitted.
+   * @param {String} scope
+   *        One of Enforcer.scope constants. Optional, keeps the current scope
+   *        if omitted.
+   * @param {String} source
+   *        One of Enforcer.source constants telling where the host is
+   *        enforced from. Optional.
+   */
+  setSTSForHost: function (host, enforce, includeSubdomains, duration, scope,
+                           source) {
+    let normalized = Hostname.normalize(host);
+    if (normalized === null) {
+      // Hosts like IP addresses and public suffixes can't be enforced.
+      return;
+    }
+
+    host = normalized;
+    let previous = this.copyEntry(this.storage.enforceHosts[host]);
+
+    if (!enforce) {
+      // Only the user's own entry is removed, even if an administrator
+      // enforces the host too. The state the site, the preload list or the
+      // policy has set for the host is left alone.
+      if (this.storage.enforceHosts[host]) {
+        this.removeEntry(host);
+      }
+    } else {
+      switch (this.getSTSStatusForHost(host)) {
+        case this.status.USER_ENFORCED_WITH_SUBDOMAINS:
+        case this.status.USER_ENFORCED:
+        case this.status.SITE_ENFORCED:
+        case this.status.PRELOADED:
+        case this.status.NOT_ENFORCED:
+          this.applyEntry(host,
+            this.createEntry(host, includeSubdomains, duration, scope, source));
+          break;
+      }
+    }
+
+    this.logChange(host, previous,
+                   this.copyEntry(this.storage.enforceHosts[host]), source);
+  },
+
+  /**
+   * Returns a copy of a storage entry that is not affected by later changes
+   * to the entry.
+   *
+   * @param {Object} entry
+   *        The storage entry or undefined.
+   * @return {Object|null} The copy or null if there was no entry.
+   */
+  copyEntry: function (entry) {
+    return entry ? JSON.parse(JSON.stringify(entry)) : null;
+  },
+
+  /**
+   * Adds a change of an user enforced host to the change log unless the
+   * entry stayed the same.
+   *
+   * @param {String} host
+   *        The changed host.
+   * @param {Object|null} previous
+   *        The entry before the change or null if there was none.
+   * @param {Object|null} next
+   *        The entry after the change or null if it was removed.
+   * @param {String} source
+   *        One of Enforcer.source constants telling where the change was
+   *        made. Optional.
+   */
+  logChange: function (host, previous, next, source) {
+    if (this.isSameEntry(previous, next)) {
+      return;
+    }
+
+    if (this.batch) {
+      // The first previous entry of a host is what reverting restores.
+      let earlier = this.batch.find(change => change.host === host);
+      if (earlier) {
+        earlier.next = next;
+      } else {
+        this.batch.push({ host, previous, next });
+      }
+      return;
+    }
+
+    this.addLogEntry({ host, previous, next }, source);
+  },
+
+  /**
+   * Checks if two versions of an entry have the same settings. The
+   * modification time alone doesn't make a change.
+   *
+   * @param {Object|null} previous
+   *        The entry before the change or null.
+   * @param {Object|null} next
+   *        The entry after the change or null.
+   * @return {Boolean} True if nothing changed, false otherwise.
+   */
+  isSameEntry: function (previous, next) {
+    let settings = entry => entry && JSON.stringify(
+      Object.assign({}, entry, { modified: null }));
+    return settings(previous) === settings(next);
+  },
+
+  /**
+   * Adds an entry to the change log.
+   *
+   * @param {Object} entry
+   *        The logged fields of the change.
+   * @param {String} source
+   *        One of Enforcer.source constants. Optional.
+   */
+  addLogEntry: function (entry, source) {
+    let log = this.getChanges();
+    let id = (log.length > 0 ? log[0].id : 0) + 1;
+
+    log.unshift(Object.assign({ id }, entry, {
+      time: Date.now(),
+      source: source || this.source.UNKNOWN
+    }));
+
+    this.storage.changeLog = log.slice(0, MAX_CHANGES);
+  },
+
+  /**
+   * Makes the changes done by the callback a single logged change that is
+   * reverted in one step.
+   *
+   * @param {String} source
+   *        One of Enforcer.source constants telling where the changes were
+   *        made.
+   * @param {Function} callback
+   *        The function that makes the changes.
+   */
+  groupChanges: function (source, callback) {
+    if (this.batch) {
+      // Already inside a group.
+      callback();
+      return;
+    }
+
+    this.batch = [];
+    try {
+      callback();
+    } finally {
+      let changes = this.batch.filter(({ previous, next }) =>
+        !this.isSameEntry(previous, next));
+      this.batch = null;
+
+      if (changes.length === 1) {
+        this.addLogEntry(changes[0], source);
+      } else if (changes.length > 1) {
+        this.addLogEntry({
+          host: changes.map(change => change.host).join(", "),
+          previous: null,
+          next: null,
+          changes
+        }, source);
+      }
+    }
+  },
+
+  /**
+   * Returns the entries that were discarded while migrating because their
+   * hosts could not be enforced any more.
+   *
+   * @return {Object} The discarded storage entries keyed by the host.
+   */
+  getDiscardedHosts: function () {
+    return this.storage.discardedHosts || {};
+  },
+
+  /**
+   * Forgets the entries that were discarded while migrating.
+   */
+  clearDiscardedHosts: function () {
+    delete this.storage.discardedHosts;
+  },
+
+  /**
+   * Returns the logged changes.
+   *
+   * @return {Array} An array of objects with form { id, host, previous, next,
+   *   time, source, changes }, newest first. Grouped changes list the change
+   *   of each host in changes and their hosts in host.
+   */
+  getChanges: function () {
+    return this.storage.changeLog || [];
+  },
+
+  /**
+   * Restores the entry a logged change replaced. The revert is logged as a
+   * change of its own.
+   *
+   * @param {Number} id
+   *        The id of the logged change.
+   * @return {Boolean} True if the change was found and reverted.
+   */
+  revertChange: function (id) {
+    let change = this.getChanges().find(c => c.id === id);
+    if (!change) {
+      return false;
+    }
+
+    // The changes of a group are reverted last to first.
+    let changes = (change.changes || [change]).slice().reverse();
+    this.groupChanges(this.source.UNDO, () => {
+      for (let { host, previous } of changes) {
+        let current = this.copyEntry(this.storage.enforceHosts[host]);
+
+        if (previous) {
+          this.applyEntry(host, this.copyEntry(previous));
+        } else if (current) {
+          this.removeEntry(host);
+        }
+
+        this.logChange(host, current, this.copyEntry(previous),
+                       this.source.UNDO);
+      }
+    });
+
+    return true;
+  },
+
+  /**
+   * Reverts the most recent logged change.
+   *
+   * @return {Boolean} True if there was a change to revert.
+   */
+  undoLastChange: function () {
+    let [last] = this.getChanges();
+    return last ? this.revertChange(last.id) : false;
+  },
+
+  /**
+   * Stores the entry for given host and applies it to the site security
+   * service.
+   *
+   * @param {String} host
+   *        The host to enforce.
+   * @param {Object} entry
+   *        The entry created by createEntry().
+   */
+  applyEntry: function (host, entry) {
+    let previous = this.storage.enforceHosts[host];
+
+    // First, clear any existing state.
+    this.disableSTSForHost(host);
+    if (entry.pins || (previous && previous.pins)) {
+      this.disablePinsForHost(host);
+    }
+
+    // Then, set the new state unless the enforcement is suspended.
+    if (!this.isSuspended(entry)) {
+      this.enableEntry(host, entry);
+    }
+    this.storage.enforceHosts[host] = entry;
+    this.restoreAdminEntry(host);
+
+    this.notify(previous ? this.event.CHANGED : this.event.ADDED, host, entry);
+  },
+
+  /**
+   * Adds the state of an entry to the site security service.
+   *
+   * @param {String} host
+   *        The host to enforce.
+   * @param {Object} entry
+   *        The storage entry of the host.
+   * @param {String} scope
+   *        The contexts to enable the entry for. Optional, defaults to the
+   *        scope of the entry.
+   */
+  enableEntry: function (host, entry, scope) {
+    let maxAge = this.getMaxAge(entry);
+    let includeSubdomains = this.getSSSIncludeSubdomains(entry);
+    scope = scope || entry.scope;
+
+    this.enableSTSForHost(host, includeSubdomains, maxAge, scope);
+
+    if (entry.pins) {
+      // Pins follow the includeSubdomains and max-age of STS.
+      this.enablePinsForHost(host, entry.pins, includeSubdomains, maxAge,
+                             scope);
+    }
+  },
+
+  /**
+   * Returns the site security service flags of the contexts in a scope.
+   *
+   * @param {String} scope
+   *        One of Enforcer.scope constants. Defaults to both contexts.
+   * @return {Array} The flags for each context.
+   */
+  getFlagsForScope: function (scope) {
+    switch (scope) {
+      case this.scope.NORMAL:
+        return [0];
+
+      case this.scope.PRIVATE:
+        return [Ci.nsISocketProvider.NO_PERMANENT_STORAGE];
+    }
+
+    return [0, Ci.nsISocketProvider.NO_PERMANENT_STORAGE];
+  },
+
+  /**
+   * Checks if an entry applies to normal or private contexts.
+   *
+   * @param {Object} entry
+   *        The storage entry.
+   * @param {Boolean} isPrivate
+   *        True to check private contexts, false to check normal ones.
+   * @return {Boolean} True if the entry applies to the context.
    */
-  status: {
-    /**
-     * Neither the site nor the user enforces STS.
-     */
-    NOT_ENFORCED: "NOT_ENFORCED",
+  coversContext: function (entry, isPrivate) {
+    let scope = entry.scope || this.scope.BOTH;
+    return scope === this.scope.BOTH ||
+      scope === (isPrivate ? this.scope.PRIVATE : this.scope.NORMAL);
+  },
 
-    /**
-     * The site enforces STS via Strict-Transport-Security header.
-     */
-    SITE_ENFORCED: "SITE_ENFORCED",
+  /**
+   * Returns the includeSubdomains value to give to the site security service
+   * for an entry. The service can't exempt subdomains so entries with
+   * exceptions cover the subdomains by upgrading requests instead (see
+   * needsUpgrade()).
+   *
+   * @param {Object} entry
+   *        The storage entry.
+   * @return {Boolean} True if the service should include subdomains.
+   */
+  getSSSIncludeSubdomains: function (entry) {
+    return !!entry.includeSubdomains &&
+      !(entry.exceptions && entry.exceptions.length > 0);
+  },
 
-    /**
-     * User has enforced STS on this site.
-     */
-    USER_ENFORCED: "USER_ENFORCED",
+  /**
+   * Checks if the host is exempted from the STS enforced on a parent domain.
+   * An exception covers the exempted host and its subdomains.
+   *
+   * @param {String} parent
+   *        The user enforced parent host.
+   * @param {String} host
+   *        The host to check.
+   * @return {Boolean} True if the host is exempted, false otherwise.
+   */
+  isExcepted: function (parent, host) {
+    parent = this.keyFor(parent);
+    host = this.keyFor(host);
 
-    /**
-     * User has enforced STS on this site and all subdomains.
-     */
-    USER_ENFORCED_WITH_SUBDOMAINS: "USER_ENFORCED_WITH_SUBDOMAINS",
+    let entry = this.storage.enforceHosts[parent];
+    if (!entry || !entry.includeSubdomains || !entry.exceptions) {
+      return false;
+    }
 
-    /**
-     * User has enforced STS on a parent domain for this site.
-     */
-    USER_ENFORCED_PARENT: "USER_ENFORCED_PARENT",
+    return entry.exceptions.some(exception =>
+      host === exception || host.endsWith("." + exception));
   },
 
   /**
-   * Initialize the extension. Ensures that user specified hosts have STS set.
+   * Adds or removes an exception for a subdomain of an user enforced host.
+   *
+   * @param {String} host
+   *        The subdomain.
+   * @param {Boolean} except
+   *        True to exempt the host, false to remove the exception.
    */
-  init: function () {
-    this.migrate();
-    this.ensureSTS();
+  setExceptionForHost: function (host, except) {
+    host = this.keyFor(host);
+
+    let parent = this.getEnforcingParentHost(host);
+    if (parent === null || parent === host) {
+      return;
+    }
+
+    let entry = this.storage.enforceHosts[parent];
+    if (!entry.includeSubdomains) {
+      // Nothing to exempt the host from.
+      return;
+    }
+
+    let exceptions = (entry.exceptions || []).filter(h => h !== host);
+    if (except) {
+      exceptions.push(host);
+    }
+
+    entry.exceptions = exceptions;
+    entry.modified = Date.now();
+    this.applyEntry(parent, entry);
   },
 
   /**
-   * Migrates the old storage format to new one.
+   * Sets the note of an user enforced host.
+   *
+   * @param {String} host
+   *        The user enforced host.
+   * @param {String} note
+   *        The note, empty to remove it.
    */
-  migrate: function() {
-    if (!this.storage.enforceHosts) {
-      // Nothing to migrate.
+  setNoteForHost: function (host, note) {
+    host = this.keyFor(host);
+
+    let entry = this.storage.enforceHosts[host];
+    if (!entry) {
       return;
     }
 
-    let hosts = Object.keys(this.storage.enforceHosts);
-    if (hosts.length === 0) {
-      // Nothing to migrate.
+    entry.note = note.trim();
+    entry.modified = Date.now();
+    this.notify(this.event.CHANGED, host, entry);
+  },
+
+  /**
+   * Checks if a plain http request to the host must be upgraded to https.
+   * This is the case for the subdomains of user enforced hosts that have
+   * exceptions since the site security service doesn't cover them.
+   *
+   * @param {String} host
+   *        The host of the request.
+   * @param {Boolean} isPrivate
+   *        True if the request comes from a private context.
+   * @return {Boolean} True if the request must be upgraded, false otherwise.
+   */
+  needsUpgrade: function (host, isPrivate) {
+    host = this.keyFor(host);
+
+    let parent = this.getEnforcingParentHost(host);
+    if (parent === null || parent === host) {
+      return false;
+    }
+
+    let entry = this.storage.enforceHosts[parent];
+    return entry.includeSubdomains && !this.getSSSIncludeSubdomains(entry) &&
+      !this.isSuspended(entry) && this.coversContext(entry, !!isPrivate) &&
+      !this.isExcepted(parent, host);
+  },
+
+  /**
+   * Temporarily stops enforcing STS for an user enforced host. The entry is
+   * kept in the storage and the enforcement resumes automatically.
+   *
+   * @param {String} host
+   *        The user enforced host.
+   * @param {Number} duration
+   *        How long to suspend the enforcement in ms.
+   */
+  suspendHost: function (host, duration) {
+    host = this.keyFor(host);
+
+    let entry = this.storage.enforceHosts[host];
+    if (!entry) {
       return;
     }
 
-    if (this.storage.enforceHosts[hosts[0]] !== true) {
-      // Already migrated.
+    entry.suspendedUntil = Date.now() + duration;
+    this.disableSTSForHost(host);
+    if (entry.pins) {
+      this.disablePinsForHost(host);
+    }
+
+    this.restoreAdminEntry(host);
+    this.scheduleResume();
+    this.notify(this.event.CHANGED, host, entry);
+  },
+
+  /**
+   * Checks if the enforcement of an entry is suspended, either on its own or
+   * together with all hosts.
+   *
+   * @param {Object} entry
+   *        The storage entry.
+   * @return {Boolean} True if the entry is suspended, false otherwise.
+   */
+  isSuspended: function (entry) {
+    return this.isAllSuspended() || this.isHostSuspended(entry);
+  },
+
+  /**
+   * Checks if the entry itself has been suspended.
+   *
+   * @param {Object} entry
+   *        The storage entry.
+   * @return {Boolean} True if the entry is suspended, false otherwise.
+   */
+  isHostSuspended: function (entry) {
+    return !!entry.suspendedUntil && entry.suspendedUntil > Date.now();
+  },
+
+  /**
+   * Checks if the enforcement of all user enforced hosts is suspended.
+   *
+   * @return {Boolean} True if all hosts are suspended, false otherwise.
+   */
+  isAllSuspended: function () {
+    return !!this.storage.suspendedAllUntil &&
+      this.storage.suspendedAllUntil > Date.now();
+  },
+
+  /**
+   * Resumes the enforcement of the entries whose suspension has ended.
+   *
+   * @return {Array} The hosts that were resumed.
+   */
+  resumeSuspended: function () {
+    let allEnded = !!this.storage.suspendedAllUntil && !this.isAllSuspended();
+    if (allEnded) {
+      delete this.storage.suspendedAllUntil;
+    }
+
+    let resumed = [];
+    for (let host in this.storage.enforceHosts) {
+      let entry = this.storage.enforceHosts[host];
+      let hostEnded = !!entry.suspendedUntil && !this.isHostSuspended(entry);
+      if (hostEnded) {
+        delete entry.suspendedUntil;
+      }
+
+      if ((hostEnded || allEnded) && !this.isSuspended(entry)) {
+        this.enableEntry(host, entry);
+        resumed.push(host);
+        this.notify(this.event.CHANGED, host, entry);
+      }
+    }
+
+    return resumed;
+  },
+
+  /**
+   * Ends the suspension of an user enforced host before its time.
+   *
+   * @param {String} host
+   *        The suspended host.
+   */
+  resumeHost: function (host) {
+    host = this.keyFor(host);
+
+    let entry = this.storage.enforceHosts[host];
+    if (!entry || !entry.suspendedUntil) {
       return;
     }
 
-    for (let host of hosts) {
-      // The old format assumed that subdomains were included.
-      this.storage.enforceHosts[host] = { includeSubdomains: true };
+    delete entry.suspendedUntil;
+    if (!this.isAllSuspended()) {
+      this.enableEntry(host, entry);
     }
+    this.scheduleResume();
+    this.notify(this.event.CHANGED, host, entry);
   },
 
   /**
-   * Ensures that the hosts user has specified enforce Strict Transport
-   * Security.
+   * Temporarily stops enforcing STS for all user enforced hosts, including
+   * the hosts added before the suspension ends. The suspensions of single
+   * hosts are kept.
+   *
+   * @param {Number} duration
+   *        How long to suspend the enforcement in ms.
    */
-  ensureSTS: function () {
-    if (!this.storage.enforceHosts) {
-      this.storage.enforceHosts = {};
+  suspendAll: function (duration) {
+    let enforced = Object.keys(this.storage.enforceHosts).filter(host =>
+      !this.isSuspended(this.storage.enforceHosts[host]));
+
+    this.storage.suspendedAllUntil = Date.now() + duration;
+    for (let host of enforced) {
+      let entry = this.storage.enforceHosts[host];
+      this.disableSTSForHost(host);
+      if (entry.pins) {
+        this.disablePinsForHost(host);
+      }
+
+      this.restoreAdminEntry(host);
+      this.notify(this.event.CHANGED, host, entry);
+    }
+
+    this.scheduleResume();
+  },
+
+  /**
+   * Ends the suspension of all user enforced hosts. The hosts suspended on
+   * their own stay suspended.
+   */
+  resumeAll: function () {
+    if (!this.storage.suspendedAllUntil) {
+      return;
     }
 
+    delete this.storage.suspendedAllUntil;
     for (let host in this.storage.enforceHosts) {
-      let { includeSubdomains } = this.storage.enforceHosts[host];
-      this.enableSTSForHost(host, includeSubdomains);
+      let entry = this.storage.enforceHosts[host];
+      if (!this.isSuspended(entry)) {
+        this.enableEntry(host, entry);
+        this.notify(this.event.CHANGED, host, entry);
+      }
     }
+
+    this.scheduleResume();
   },
 
   /**
-   * Returns the current status for given host.
+   * Returns the user enforced hosts that have been suspended on their own.
+   *
+   * @return {Array} The suspended hosts.
+   */
+  getSuspendedHosts: function () {
+    return Object.keys(this.storage.enforceHosts || {}).filter(host =>
+      this.isHostSuspended(this.storage.enforceHosts[host]));
+  },
+
+  /**
+   * Returns the user enforced host whose suspension affects the host.
    *
    * @param {String} host
    *        The hostname to check.
-   * @return {String} One of Enforcer.status constants.
+   * @return {String|null} The host itself if the user has enforced it, the
+   *   enforcing parent host or null if neither enforces STS for the host.
    */
-  getSTSStatusForHost: function (host) {
-    // Has STS been enforced by the user on this site (exact domain match)?
+  getSuspendableHost: function (host) {
+    host = this.keyFor(host);
+
     if (this.storage.enforceHosts[host] !== undefined) {
-      if (this.storage.enforceHosts[host].includeSubdomains) {
-        return this.status.USER_ENFORCED_WITH_SUBDOMAINS;
-      }
+      return host;
+    }
 
-      return this.status.USER_ENFORCED;
+    let parent = this.getEnforcingParentHost(host);
+    if (parent === null || this.isExcepted(parent, host)) {
+      return null;
     }
 
-    // Has the user enforced STS for a parent host?
-    if (this.getEnforcingParentHost(host) !== null) {
-      return this.status.USER_ENFORCED_PARENT;
+    return parent;
+  },
+
+  /**
+   * Returns the time left until the enforcement of the host resumes.
+   *
+   * @param {String} host
+   *        The user enforced host.
+   * @return {Number|null} The time in ms or null if the host is not
+   *   suspended.
+   */
+  getSuspendedTime: function (host) {
+    host = this.keyFor(host);
+
+    let entry = this.storage.enforceHosts[host];
+    if (!entry || !this.isSuspended(entry)) {
+      return null;
     }
 
-    // Does the site enforce STS itself?
-    let uri = this.getURI(host);
-    if (this.sss.isSecureURI(this.sss.HEADERS_HSTS, uri, 0)) {
-      return this.status.SITE_ENFORCED;
+    let until = Math.max(entry.suspendedUntil || 0,
+                         this.storage.suspendedAllUntil || 0);
+    return until - Date.now();
+  },
+
+  /**
+   * Sets a timer that resumes the next suspended entry on time.
+   */
+  scheduleResume: function () {
+    if (this.resumeTimer) {
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = null;
     }
 
-    // No STS for this site.
-    return this.status.NOT_ENFORCED;
+    let next = this.storage.suspendedAllUntil || Infinity;
+    for (let host in this.storage.enforceHosts) {
+      let { suspendedUntil } = this.storage.enforceHosts[host];
+      if (suspendedUntil) {
+        next = Math.min(next, suspendedUntil);
+      }
+    }
+
+    if (next === Infinity) {
+      return;
+    }
+
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.resumeSuspended();
+      this.scheduleResume();
+    }, Math.max(0, next - Date.now()));
   },
 
   /**
-   * Get the host name that causes STS to be enforced on this site.
+   * Removes the entry of given host from the storage and the site security
+   * service.
+   *
+   * @param {String} host
+   *        The host to remove.
+   */
+  removeEntry: function (host) {
+    let entry = this.storage.enforceHosts[host];
+    this.disableSTSForHost(host);
+
+    if (entry && entry.pins) {
+      this.disablePinsForHost(host);
+    }
+
+    delete this.storage.enforceHosts[host];
+    this.restoreAdminEntry(host);
+
+    if (entry) {
+      this.notify(this.event.REMOVED, host, entry);
+    }
+  },
+
+  /**
+   * Returns the public key pinning status for given host.
    *
    * @param {String} host
    *        The hostname to check.
-   * @return {String|null} the hostname or null if STS is not enforced.
+   * @return {String} One of Enforcer.pinStatus constants.
    */
-  getEnforcingParentHost: function(host) {
-    let eTLDService = Cc["@mozilla.org/network/effective-tld-service;1"]
-                        .getService(Ci.nsIEffectiveTLDService);
-    for (let i = 0;; ++i) {
-      try {
-        // Is the parent domain enforced by user?
-        let hostparent = eTLDService.getBaseDomainFromHost(host, i);
-        if (this.storage.enforceHosts[hostparent] !== undefined)
-          return hostparent;
+  getPinStatusForHost: function (host) {
+    host = this.keyFor(host);
 
-      } catch (e) {
-        // NS_ERROR_INSUFFICIENT_DOMAIN_LEVELS comes when it's time to
-        // terminate the loop.
-        break;
-      }
+    let entry = this.storage.enforceHosts[host];
+    if (entry && entry.pins) {
+      return this.pinStatus.USER_PINNED;
     }
 
-    return null;
+    let uri = this.getURI(host);
+    if (SSSBackend.isPinned(uri, 0)) {
+      return this.pinStatus.SITE_PINNED;
+    }
+
+    return this.pinStatus.NOT_PINNED;
   },
 
   /**
-   * Toggles the STS ensuring state for given host.
+   * Pins the given keys for an user enforced host or removes the pins.
    *
    * @param {String} host
-   *        The host to toggle.
-   * @param {Boolean} enforce
-   *        True to enforce STS, false to remove it.
-   * @param {Boolean} includeSubdomains
-   *        True to include subdomains, false to stop including subdomains.
+   *        The user enforced host.
+   * @param {Array} pins
+   *        The base64 encoded SHA-256 hashes of the SubjectPublicKeyInfo of
+   *        the keys to pin or null to remove the pins.
+   * @return {Boolean} True if the pins were changed, false if the host is not
+   *   user enforced or the pins were rejected.
    */
-  setSTSForHost: function (host, enforce, includeSubdomains) {
-    switch (this.getSTSStatusForHost(host)) {
-      case this.status.USER_ENFORCED_WITH_SUBDOMAINS:
-      case this.status.USER_ENFORCED:
-      case this.status.NOT_ENFORCED:
-
-        this.updateSTSForHost(host, enforce, includeSubdomains);
-
-        // Update the storage.
-        if (enforce) {
-          this.storage.enforceHosts[host] = {
-            includeSubdomains
-          };
-        } else {
-          delete this.storage.enforceHosts[host];
-        }
+  setPinsForHost: function (host, pins) {
+    host = this.keyFor(host);
 
-        break;
+    let entry = this.storage.enforceHosts[host];
+    if (!entry) {
+      // Pins are only stored with user enforced hosts.
+      return false;
+    }
+
+    this.disablePinsForHost(host);
+
+    let applied = true;
+    if (pins && pins.length > 0) {
+      applied = this.enablePinsForHost(host, pins,
+        this.getSSSIncludeSubdomains(entry), this.getMaxAge(entry),
+        entry.scope);
+    }
+
+    if (applied && pins && pins.length > 0) {
+      entry.pins = pins;
+    } else {
+      // Rejected pins are cleared so that nothing is half applied.
+      this.disablePinsForHost(host);
+      entry.pins = null;
+    }
+
+    entry.modified = Date.now();
+    this.notify(this.event.CHANGED, host, entry);
+    return applied;
+  },
+
+  /**
+   * Collects the pin hashes of a certificate and its issuers.
+   *
+   * @param {nsIX509Cert} cert
+   *        The server certificate.
+   * @return {Array} The base64 encoded SHA-256 SPKI hashes of the chain.
+   */
+  getPinsForCertificate: function (cert) {
+    let pins = [];
+    let chain = cert.getChain().enumerate();
+    while (chain.hasMoreElements()) {
+      let link = chain.getNext().QueryInterface(Ci.nsIX509Cert);
+      if (pins.indexOf(link.sha256SubjectPublicKeyInfoDigest) === -1) {
+        pins.push(link.sha256SubjectPublicKeyInfoDigest);
+      }
     }
+
+    return pins;
   },
 
   /**
@@ -180,14 +1640,16 @@ const Enforcer = {
    *        True to enforce STS, false to remove it.
    * @param {Boolean} includeSubdomains
    *        True to include subdomains, false to stop including subdomains.
+   * @param {Number} maxAge
+   *        The max-age to use in seconds. Optional.
    */
-  updateSTSForHost: function(host, enforce, includeSubdomains) {
+  updateSTSForHost: function(host, enforce, includeSubdomains, maxAge) {
     // First, clear any existing state.
     this.disableSTSForHost(host);
 
     // Then, set the new state.
     if (enforce) {
-      this.enableSTSForHost(host, includeSubdomains);
+      this.enableSTSForHost(host, includeSubdomains, maxAge);
     }
   },
 
@@ -198,20 +1660,80 @@ const Enforcer = {
    *        The host to enable STS for.
    * @param {Boolean} includeSubdomains
    *        Add includeSubdomains directive for STS.
+   * @param {Number} maxAge
+   *        The max-age to use in seconds. Optional, defaults to a year.
+   * @param {String} scope
+   *        One of Enforcer.scope constants. Optional, defaults to both normal
+   *        and private contexts.
    */
-  enableSTSForHost: function (host, includeSubdomains) {
-    let value = "max-age=31556900;";
-    if (includeSubdomains) {
-       value += "includeSubDomains;";
+  enableSTSForHost: function (host, includeSubdomains, maxAge, scope) {
+    if (maxAge === undefined) {
+      maxAge = DEFAULT_MAX_AGE;
     }
 
     const uri = this.getURI(host);
 
-    // Normal mode.
-    this.sss.unsafeProcessHeader(this.sss.HEADERS_HSTS, uri, value, 0, {}, {});
+    // Normal and/or private mode.
+    for (let flags of this.getFlagsForScope(scope)) {
+      this.backend.enableSTS(uri, includeSubdomains, maxAge, flags);
+    }
+  },
+
+  /**
+   * Enables public key pinning for given host.
+   *
+   * @param {String} host
+   *        The host to pin the keys for.
+   * @param {Array} pins
+   *        The base64 encoded SHA-256 SPKI hashes to pin.
+   * @param {Boolean} includeSubdomains
+   *        Add includeSubdomains directive for the pins.
+   * @param {Number} maxAge
+   *        The max-age to use in seconds. Optional, defaults to a year.
+   * @param {String} scope
+   *        One of Enforcer.scope constants. Optional, defaults to both normal
+   *        and private contexts.
+   * @return {Boolean} True if the pins were applied, false otherwise.
+   */
+  enablePinsForHost: function (host, pins, includeSubdomains, maxAge, scope) {
+    if (!this.backend.supportsPins) {
+      return false;
+    }
+
+    if (maxAge === undefined) {
+      maxAge = DEFAULT_MAX_AGE;
+    }
+
+    const uri = this.getURI(host);
+
+    // Normal and/or private mode.
+    try {
+      for (let flags of this.getFlagsForScope(scope)) {
+        this.backend.enablePins(uri, pins, includeSubdomains, maxAge, flags);
+      }
+    } catch (e) {
+      console.error("Failed to pin the keys of " + host + ": " + e);
+      return false;
+    }
 
-    // Private mode.
-    this.sss.unsafeProcessHeader(this.sss.HEADERS_HSTS, uri, value, Ci.nsISocketProvider.NO_PERMANENT_STORAGE, {}, {});
+    return true;
+  },
+
+  /**
+   * Disables public key pinning for given host.
+   *
+   * @param {String} host
+   *        The host to remove the pins from.
+   */
+  disablePinsForHost: function (host) {
+    if (!this.backend.supportsPins) {
+      return;
+    }
+
+    let nsURI = this.getURI(host);
+    for (let flags of this.getFlagsForScope(this.scope.BOTH)) {
+      this.backend.disablePins(nsURI, flags);
+    }
   },
 
   /**
@@ -221,10 +1743,13 @@ const Enforcer = {
    *        The host to disable STS for.
    */
   disableSTSForHost: function (host) {
-    let nsURI = this.getURI(host);
+    let entry = this.storage.enforceHosts[host];
+    let preloaded = !!entry && !!entry.preloaded;
 
-    this.sss.removeState(this.sss.HEADERS_HSTS, nsURI, 0);
-    this.sss.removeState(this.sss.HEADERS_HSTS, nsURI, Ci.nsISocketProvider.NO_PERMANENT_STORAGE);
+    let nsURI = this.getURI(host);
+    for (let flags of this.getFlagsForScope(this.scope.BOTH)) {
+      this.backend.disableSTS(nsURI, flags, preloaded);
+    }
   },
 
   /**
@@ -249,11 +1774,15 @@ const Enforcer = {
   },
 
   /**
-   * Returns an instance of nsISiteSecurityService.
+   * Returns the backend that applies the enforcement: the first one the
+   * browser supports.
    */
-  get sss () {
-    return Cc["@mozilla.org/ssservice;1"]
-             .getService(Ci.nsISiteSecurityService);
+  get backend () {
+    if (!this._backend) {
+      this._backend = BACKENDS.find(backend => backend.isSupported());
+    }
+
+    return this._backend;
   },
 
   /**
@@ -0,0 +1,210 @@
+const { Ci } = require("chrome");
+const WindowUtils = require("sdk/window/utils");
+const BrowserWindows = require("sdk/windows").browserWindows;
+const ViewFor = require("sdk/view/core").viewFor;
+const PrivateBrowsing = require("sdk/private-browsing");
+const SimpleStorage = require("sdk/simple-storage");
+const _ = require("sdk/l10n").get;
+
+const { Enforcer } = require("./enforcer");
+const { HttpsProbe } = require("./https-probe");
+
+// How long the enforcement is suspended from the notification (in ms).
+const SUSPEND_DURATION = 10 * 60 * 1000;
+
+// The maximum number of failures kept in the log.
+const MAX_LOGGED_FAILURES = 50;
+
+const NOTIFICATION_VALUE = "enforce-hsts-failure";
+
+const FailureMonitor = {
+  /**
+   * Starts watching for failed secure loads in all browser windows.
+   */
+  init: function () {
+    this.progressListener = {
+      onStateChange: this.onStateChange.bind(this)
+    };
+
+    if (!this.storage.failures) {
+      this.storage.failures = [];
+    }
+
+    for (let window of WindowUtils.windows(null, { includePrivate: true }))
+      this._attach(window);
+
+    this.onWindowOpen = window => this._attach(window);
+    BrowserWindows.on("open", this.onWindowOpen);
+  },
+
+  /**
+   * Adds the progress listener to the tabs of the given window.
+   *
+   * @param {Object} window
+   *        The Jetpack or chrome window.
+   */
+  _attach: function (window) {
+    let dom = ViewFor(window) || window;
+    if (dom.gBrowser) {
+      dom.gBrowser.addTabsProgressListener(this.progressListener);
+    }
+  },
+
+  /**
+   * Looks for top-level loads that failed with a security error.
+   */
+  onStateChange: function (browser, webProgress, request, flags, status) {
+    const { STATE_STOP, STATE_IS_WINDOW } = Ci.nsIWebProgressListener;
+    if (!(flags & STATE_STOP) || !(flags & STATE_IS_WINDOW) ||
+        !webProgress.isTopLevel || !(request instanceof Ci.nsIChannel)) {
+      return;
+    }
+
+    let uri = request.URI;
+    if (!uri.schemeIs("https")) {
+      return;
+    }
+
+    let reason = HttpsProbe.getSecurityErrorMessage(status);
+    if (reason) {
+      this.handleFailure(browser, Enforcer.keyFor(uri.asciiHost), reason);
+    }
+  },
+
+  /**
+   * Logs the failure and offers a way out if the user enforced STS.
+   *
+   * @param {Element} browser
+   *        The browser of the failed load.
+   * @param {String} host
+   *        The host that failed to load.
+   * @param {String} reason
+   *        The localized error message.
+   */
+  handleFailure: function (browser, host, reason) {
+    let enforcingHost = this.getEnforcingHost(host);
+    if (enforcingHost === null) {
+      // The user didn't cause this.
+      return;
+    }
+
+    if (!PrivateBrowsing.isPrivate(browser.ownerDocument.defaultView)) {
+      this.logFailure(host, enforcingHost, reason);
+    }
+
+    this.showNotification(browser, host, enforcingHost, reason);
+  },
+
+  /**
+   * Finds the user enforced entry that causes STS for the host.
+   *
+   * @param {String} host
+   *        The host to check.
+   * @return {String|null} The enforcing host or null if the user has not
+   *   enforced STS for the host.
+   */
+  getEnforcingHost: function (host) {
+    switch (Enforcer.getSTSStatusForHost(host)) {
+      case Enforcer.status.USER_ENFORCED:
+      case Enforcer.status.USER_ENFORCED_WITH_SUBDOMAINS:
+        return host;
+
+      case Enforcer.status.USER_ENFORCED_PARENT:
+        return Enforcer.getEnforcingParentHost(host);
+    }
+
+    return null;
+  },
+
+  /**
+   * Adds a failure to the log.
+   *
+   * @param {String} host
+   *        The host that failed to load.
+   * @param {String} enforcingHost
+   *        The user enforced host causing STS for the host.
+   * @param {String} reason
+   *        The localized error message.
+   */
+  logFailure: function (host, enforcingHost, reason) {
+    this.storage.failures.unshift({
+      host,
+      enforcingHost,
+      reason,
+      time: Date.now()
+    });
+
+    this.storage.failures.splice(MAX_LOGGED_FAILURES);
+  },
+
+  /**
+   * Returns the logged failures.
+   *
+   * @return {Array} An array of objects with form { host, enforcingHost,
+   *   reason, time }, newest first.
+   */
+  getFailures: function () {
+    return this.storage.failures || [];
+  },
+
+  /**
+   * Shows a notification bar offering to suspend or remove the enforcement.
+   *
+   * @param {Element} browser
+   *        The browser of the failed load.
+   * @param {String} host
+   *        The host that failed to load.
+   * @param {String} enforcingHost
+   *        The user enforced host causing STS for the host.
+   * @param {String} reason
+   *        The localized error message.
+   */
+  showNotification: function (browser, host, enforcingHost, reason) {
+    let gBrowser = browser.ownerDocument.defaultView.gBrowser;
+    let box = gBrowser.getNotificationBox(browser);
+    if (box.getNotificationWithValue(NOTIFICATION_VALUE)) {
+      return;
+    }
+
+    box.appendNotification(_("ui.failure.message", host, reason, enforcingHost),
+      NOTIFICATION_VALUE, null, box.PRIORITY_WARNING_HIGH, [
+        {
+          label: _("ui.failure.suspend"),
+          accessKey: "",
+          callback: () => {
+            Enforcer.suspendHost(enforcingHost, SUSPEND_DURATION);
+            browser.reload();
+          }
+        },
+        {
+          label: _("ui.failure.remove"),
+          accessKey: "",
+          callback: () => {
+            Enforcer.setSTSForHost(enforcingHost, false, false, undefined,
+                                   undefined, Enforcer.source.FAILURE);
+            browser.reload();
+          }
+        },
+      ]);
+  },
+
+  destroy: function () {
+    BrowserWindows.removeListener("open", this.onWindowOpen);
+
+    for (let window of WindowUtils.windows(null, { includePrivate: true })) {
+      let dom = ViewFor(window) || window;
+      if (dom.gBrowser) {
+        dom.gBrowser.removeTabsProgressListener(this.progressListener);
+      }
+    }
+  },
+
+  /**
+   * Returns the SimpleStorage object for this addon.
+   */
+  get storage () {
+    return SimpleStorage.storage;
+  },
+};
+
+exports.FailureMonitor = FailureMonitor;
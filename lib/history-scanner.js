@@ -0,0 +1,174 @@
+const { Cc, Ci } = require("chrome");
+const { URL } = require("sdk/url");
+
+const { Enforcer } = require("./enforcer");
+
+// How far back in history to look, in milliseconds (about six months).
+const SCAN_PERIOD = 183 * 24 * 60 * 60 * 1000;
+
+// The maximum number of history entries to read.
+const MAX_RESULTS = 20000;
+
+const HistoryScanner = {
+  /**
+   * Reads the browsing history and finds hosts that could be enforced.
+   *
+   * @return {Array} The candidates as returned by analyze().
+   */
+  scan: function () {
+    return this.analyze(this.readHistory());
+  },
+
+  /**
+   * Reads the URLs visited during the scan period from Places.
+   *
+   * @return {Array} The visited URLs as strings.
+   */
+  readHistory: function () {
+    let history = Cc["@mozilla.org/browser/nav-history-service;1"]
+                    .getService(Ci.nsINavHistoryService);
+
+    let query = history.getNewQuery();
+    query.beginTimeReference = query.TIME_RELATIVE_EPOCH;
+    // Places uses microseconds.
+    query.beginTime = (Date.now() - SCAN_PERIOD) * 1000;
+
+    let options = history.getNewQueryOptions();
+    options.queryType = options.QUERY_TYPE_HISTORY;
+    options.resultType = options.RESULTS_AS_URI;
+    options.sortingMode = options.SORT_BY_DATE_DESCENDING;
+    options.maxResults = MAX_RESULTS;
+
+    let root = history.executeQuery(query, options).root;
+    root.containerOpen = true;
+
+    let urls = [];
+    for (let i = 0; i < root.childCount; i++) {
+      urls.push(root.getChild(i).uri);
+    }
+
+    root.containerOpen = false;
+    return urls;
+  },
+
+  /**
+   * Groups the hosts of the given URLs by their base domain and picks the
+   * ones that were only visited over https and are not enforced yet.
+   *
+   * The subdomains of a base domain are suggested to be included if the base
+   * domain itself is a candidate and none of its hosts were visited over
+   * plain http.
+   *
+   * @param {Array} urls
+   *        The visited URLs as strings.
+   * @return {Array} An array of objects with form { domain, hosts,
+   *   includeSubdomains } sorted by the domain.
+   */
+  analyze: function (urls) {
+    // Maps hosts to { http, https } booleans telling how they were visited.
+    let visits = new Map();
+
+    for (let spec of urls) {
+      let url;
+      try {
+        url = URL(spec);
+      } catch (e) {
+        continue;
+      }
+
+      if ((url.scheme !== "http" && url.scheme !== "https") || !url.host) {
+        continue;
+      }
+
+      let host = url.host.toLowerCase();
+      let visit = visits.get(host) || { http: false, https: false };
+      visit[url.scheme] = true;
+      visits.set(host, visit);
+    }
+
+    // Maps base domains to { hosts, insecure } where insecure tells if any
+    // host of the domain was visited over plain http.
+    let groups = new Map();
+
+    for (let [host, visit] of visits) {
+      let domain = this.getBaseDomain(host);
+      if (!domain) {
+        continue;
+      }
+
+      let group = groups.get(domain) || { hosts: [], insecure: false };
+      groups.set(domain, group);
+
+      if (visit.http) {
+        group.insecure = true;
+        continue;
+      }
+
+      if (Enforcer.getSTSStatusForHost(host) === Enforcer.status.NOT_ENFORCED) {
+        group.hosts.push(host);
+      }
+    }
+
+    let candidates = [];
+    for (let [domain, { hosts, insecure }] of groups) {
+      if (hosts.length === 0) {
+        continue;
+      }
+
+      hosts.sort();
+      candidates.push({
+        domain,
+        hosts,
+        includeSubdomains: !insecure && hosts.indexOf(domain) !== -1
+      });
+    }
+
+    return candidates.sort((a, b) => a.domain.localeCompare(b.domain));
+  },
+
+  /**
+   * Enforces the given candidates. A candidate that includes subdomains is
+   * enforced with a single entry for the base domain, others with an entry
+   * for each of the hosts. The entries are logged as a single change.
+   *
+   * @param {Array} candidates
+   *        An array of objects with form { domain, hosts, includeSubdomains }.
+   * @return {Number} The number of entries added.
+   */
+  enforce: function (candidates) {
+    let count = 0;
+    Enforcer.groupChanges(Enforcer.source.HISTORY, () => {
+      for (let { domain, hosts, includeSubdomains } of candidates) {
+        let targets = includeSubdomains ? [domain] : hosts;
+        for (let host of targets) {
+          Enforcer.setSTSForHost(host, true, includeSubdomains, undefined,
+                                 undefined, Enforcer.source.HISTORY);
+          count++;
+        }
+      }
+    });
+
+    return count;
+  },
+
+  /**
+   * Returns the base domain of the host.
+   *
+   * @param {String} host
+   *        The host.
+   * @return {String|null} The base domain or null if the host has none (IP
+   *   addresses and hosts without a public suffix).
+   */
+  getBaseDomain: function (host) {
+    let eTLDService = Cc["@mozilla.org/network/effective-tld-service;1"]
+                        .getService(Ci.nsIEffectiveTLDService);
+
+    try {
+      return eTLDService.getBaseDomainFromHost(host);
+    } catch (e) {
+      return null;
+    }
+  },
+};
+
+exports.HistoryScanner = HistoryScanner;
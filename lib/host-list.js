@@ -0,0 +1,195 @@
+const _ = require("sdk/l10n").get;
+
+const { Enforcer } = require("./enforcer");
+const { Hostname } = require("./hostname");
+
+/**
+ * The identifier and version of the export format. The version must be bumped
+ * whenever the format changes in a way older versions can't read.
+ */
+const FORMAT_NAME = "enforce-hsts";
+const FORMAT_VERSION = 1;
+
+const HostList = {
+  FORMAT_NAME,
+  FORMAT_VERSION,
+
+  /**
+   * Serializes the user enforced hosts.
+   *
+   * @return {String} The hosts as JSON.
+   */
+  export: function () {
+    return JSON.stringify({
+      format: FORMAT_NAME,
+      version: FORMAT_VERSION,
+      hosts: Enforcer.storage.enforceHosts,
+    }, null, 2);
+  },
+
+  /**
+   * Parses a host list exported by this addon or a Chromium preload list
+   * (transport_security_state_static.json).
+   *
+   * @param {String} text
+   *        The contents of the file to import.
+   * @return {Object} An object with form { entries, invalid } where entries
+   *   is an array of { host, includeSubdomains } objects and invalid an
+   *   array of hostnames that did not pass validation.
+   * @throws {Error} If the file is not in a supported format.
+   */
+  parse: function (text) {
+    let data;
+    try {
+      // The Chromium preload list contains line comments which JSON does not
+      // allow.
+      data = JSON.parse(text.replace(/^\s*\/\/.*$/gm, ""));
+    } catch (e) {
+      throw new Error(_("ui.import.error.json"));
+    }
+
+    let raw;
+    if (data && data.format === FORMAT_NAME) {
+      raw = this._parseExport(data);
+    } else if (data && Array.isArray(data.entries)) {
+      raw = this._parseChromium(data);
+    } else {
+      throw new Error(_("ui.import.error.format"));
+    }
+
+    let entries = [];
+    let invalid = [];
+    for (let { host, includeSubdomains } of raw) {
+      let normalized = this.normalizeHost(host);
+      if (normalized) {
+        entries.push({ host: normalized, includeSubdomains });
+      } else {
+        invalid.push(String(host));
+      }
+    }
+
+    return { entries, invalid };
+  },
+
+  /**
+   * Reads the entries from a file created by export().
+   */
+  _parseExport: function (data) {
+    if (data.version > FORMAT_VERSION) {
+      throw new Error(_("ui.import.error.version", data.version));
+    }
+
+    let hosts = data.hosts || {};
+    return Object.keys(hosts).map(host => ({
+      host,
+      includeSubdomains: !!(hosts[host] && hosts[host].includeSubdomains),
+    }));
+  },
+
+  /**
+   * Reads the entries from a Chromium preload list. Only entries that force
+   * HTTPS are included; pin-only entries are skipped.
+   */
+  _parseChromium: function (data) {
+    return data.entries
+      .filter(entry => entry && entry.mode === "force-https")
+      .map(entry => ({
+        host: entry.name,
+        includeSubdomains: !!entry.include_subdomains,
+      }));
+  },
+
+  /**
+   * Compares the entries to import with the current hosts.
+   *
+   * @param {Array} entries
+   *        The entries returned by parse().
+   * @param {Boolean} replace
+   *        True if the entries replace the current hosts, false if they are
+   *        merged with them.
+   * @return {Object} An object with form { added, conflicts, removed } where
+   *   added lists the new hosts, conflicts the hosts whose includeSubdomains
+   *   value changes and removed the hosts a replace would remove.
+   */
+  preview: function (entries, replace) {
+    let current = Enforcer.storage.enforceHosts;
+    let imported = new Set();
+    let added = [];
+    let conflicts = [];
+
+    for (let { host, includeSubdomains } of entries) {
+      imported.add(host);
+
+      if (current[host] === undefined) {
+        added.push(host);
+      } else if (!!current[host].includeSubdomains !== includeSubdomains) {
+        conflicts.push({
+          host,
+          current: !!current[host].includeSubdomains,
+          imported: includeSubdomains
+        });
+      }
+    }
+
+    let removed = replace ?
+      Object.keys(current).filter(host => !imported.has(host)) : [];
+
+    return { added, conflicts, removed };
+  },
+
+  /**
+   * Imports the given entries. Imported values win over existing ones.
+   *
+   * @param {Array} entries
+   *        The entries returned by parse().
+   * @param {Boolean} replace
+   *        True to remove the hosts missing from the entries, false to keep
+   *        them.
+   */
+  apply: function (entries, replace) {
+    let { IMPORT } = Enforcer.source;
+
+    // Every change is logged so that each host can be reverted.
+    let logged = (host, change) => {
+      let previous = Enforcer.copyEntry(Enforcer.storage.enforceHosts[host]);
+      change();
+      Enforcer.logChange(host, previous,
+        Enforcer.copyEntry(Enforcer.storage.enforceHosts[host]), IMPORT);
+    };
+
+    if (replace) {
+      let imported = new Set(entries.map(({ host }) => host));
+      for (let host of Object.keys(Enforcer.storage.enforceHosts)) {
+        if (!imported.has(host)) {
+          logged(host, () => Enforcer.removeEntry(host));
+        }
+      }
+    }
+
+    for (let { host, includeSubdomains } of entries) {
+      let current = Enforcer.storage.enforceHosts[host];
+      if (current && current.includeSubdomains === includeSubdomains) {
+        // Leave the entry and its metadata alone.
+        continue;
+      }
+
+      // createEntry() keeps the metadata of an existing entry.
+      logged(host, () => Enforcer.applyEntry(host,
+        Enforcer.createEntry(host, includeSubdomains, undefined, undefined,
+                             IMPORT)));
+    }
+  },
+
+  /**
+   * Turns a hostname or an URL into the form used as a storage key.
+   *
+   * @param {String} input
+   *        A hostname or an URL.
+   * @return {String|null} The hostname or null if the input is not valid.
+   */
+  normalizeHost: function (input) {
+    return Hostname.normalize(input);
+  },
+};
+
+exports.HostList = HostList;
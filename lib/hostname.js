@@ -0,0 +1,140 @@
+const { Cc, Ci } = require("chrome");
+const _ = require("sdk/l10n").get;
+
+// The longest hostname and label DNS allows.
+const MAX_HOST_LENGTH = 253;
+const MAX_LABEL_LENGTH = 63;
+
+// A label of an ASCII hostname. Underscores appear in real-world hosts even
+// though they are not strictly valid.
+const LABEL_PATTERN = /^[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?$/;
+
+/**
+ * Validates and normalizes the hostnames the user and the policies give so
+ * that every host has exactly one storage key.
+ */
+const Hostname = {
+  /**
+   * Normalizes a hostname or an URL to the host in lowercase ASCII form
+   * without a trailing dot.
+   *
+   * @param {String} input
+   *        The hostname or URL.
+   * @return {Object} An object with form { host, error } where host is the
+   *   normalized host or null if it can't be enforced and error the
+   *   localized reason or null.
+   */
+  validate: function (input) {
+    if (typeof input !== "string" || !input.trim()) {
+      return { host: null, error: _("ui.host.error.empty") };
+    }
+
+    let original = input.trim();
+    let host = this.extractHost(original);
+    if (host === null) {
+      return { host: null, error: _("ui.host.error.invalid", original) };
+    }
+
+    if (this.isIPAddress(host)) {
+      return { host: null, error: _("ui.host.error.ip", host) };
+    }
+
+    try {
+      let idn = Cc["@mozilla.org/network/idn-service;1"]
+                  .getService(Ci.nsIIDNService);
+      host = idn.convertUTF8toACE(host);
+    } catch (e) {
+      // Not a valid internationalized domain name.
+      return { host: null, error: _("ui.host.error.invalid", original) };
+    }
+
+    let labels = host.split(".");
+    if (host.length > MAX_HOST_LENGTH || labels.some(label =>
+        label.length > MAX_LABEL_LENGTH || !LABEL_PATTERN.test(label))) {
+      return { host: null, error: _("ui.host.error.invalid", original) };
+    }
+
+    if (labels.length < 2) {
+      return { host: null, error: _("ui.host.error.single_label", host) };
+    }
+
+    if (this.isPublicSuffix(host)) {
+      return { host: null, error: _("ui.host.error.public_suffix", host) };
+    }
+
+    return { host, error: null };
+  },
+
+  /**
+   * Normalizes a hostname or an URL.
+   *
+   * @param {String} input
+   *        The hostname or URL.
+   * @return {String|null} The normalized host or null if it's not valid.
+   */
+  normalize: function (input) {
+    return this.validate(input).host;
+  },
+
+  /**
+   * Extracts the lowercase host from an URL or a hostname with an optional
+   * port and trailing dots.
+   *
+   * @param {String} input
+   *        The trimmed input.
+   * @return {String|null} The host or null if the input can't be parsed.
+   */
+  extractHost: function (input) {
+    let host = input;
+
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(input)) {
+      try {
+        let ioService = Cc["@mozilla.org/network/io-service;1"]
+                          .getService(Ci.nsIIOService);
+        host = ioService.newURI(input, null, null).host;
+      } catch (e) {
+        // NS_ERROR_MALFORMED_URI
+        return null;
+      }
+    } else if (/^[^:]+:\d+$/.test(input)) {
+      // Drop the port.
+      host = input.replace(/:\d+$/, "");
+    }
+
+    host = host.toLowerCase().replace(/\.+$/, "");
+    return host || null;
+  },
+
+  /**
+   * Checks if the host is an IPv4 or IPv6 address literal.
+   *
+   * @param {String} host
+   *        The host.
+   * @return {Boolean} True for IP addresses, false otherwise.
+   */
+  isIPAddress: function (host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.indexOf(":") !== -1;
+  },
+
+  /**
+   * Checks if the host is a public suffix like com or co.uk that many
+   * unrelated sites share.
+   *
+   * @param {String} host
+   *        The ASCII host.
+   * @return {Boolean} True for public suffixes, false otherwise.
+   */
+  isPublicSuffix: function (host) {
+    let eTLDService = Cc["@mozilla.org/network/effective-tld-service;1"]
+                        .getService(Ci.nsIEffectiveTLDService);
+
+    try {
+      return eTLDService.getPublicSuffixFromHost(host) === host;
+    } catch (e) {
+      // The host has too few labels to have a suffix of its own.
+      return true;
+    }
+  },
+};
+
+exports.Hostname = Hostname;
@@ -0,0 +1,124 @@
+const { Ci, Cc } = require("chrome");
+const _ = require("sdk/l10n").get;
+
+const { Enforcer } = require("./enforcer");
+const { Upgrader } = require("./upgrader");
+
+// How long to wait for the https server to answer (in ms).
+const PROBE_TIMEOUT = 10000;
+
+const HttpsProbe = {
+  /**
+   * Enforces STS for the host of a plain http page if the https version of
+   * the page answers. Nothing is enforced if the probe fails.
+   *
+   * @param {nsIURI} uri
+   *        The http URI of the page.
+   * @param {Boolean} includeSubdomains
+   *        True to include subdomains.
+   * @param {Number} duration
+   *        How long to enforce STS in seconds. Optional.
+   * @param {String} scope
+   *        One of Enforcer.scope constants. Optional.
+   * @param {String} source
+   *        One of Enforcer.source constants. Optional.
+   * @return {Promise} A promise resolved with an object of form
+   *   { ok, reason, uri } where uri is the https URI to load.
+   */
+  upgrade: function (uri, includeSubdomains, duration, scope, source) {
+    // The probe and the reload must use the same origin, port included.
+    let secure = Upgrader.getSecureURI(uri);
+
+    return this.probe(secure).then(({ ok, reason }) => {
+      if (ok) {
+        Enforcer.setSTSForHost(Enforcer.keyFor(uri.asciiHost), true,
+                               includeSubdomains, duration, scope, source);
+      }
+
+      return { ok, reason, uri: secure };
+    });
+  },
+
+  /**
+   * Checks if the origin answers over https with a valid certificate.
+   *
+   * @param {nsIURI} uri
+   *        The https URI whose origin to probe.
+   * @return {Promise} A promise resolved with an object of form
+   *   { ok, reason } where ok tells if the origin can be used over https and
+   *   reason is a localized explanation of the failure.
+   */
+  probe: function (uri) {
+    return new Promise(resolve => {
+      let xhr = this.createRequest();
+
+      xhr.open("HEAD", uri.prePath + "/", true);
+      xhr.timeout = PROBE_TIMEOUT;
+
+      // Don't send cookies or use cached responses.
+      xhr.channel.loadFlags |= Ci.nsIRequest.LOAD_ANONYMOUS |
+                               Ci.nsIRequest.LOAD_BYPASS_CACHE;
+
+      // Any HTTP response means that the TLS handshake succeeded.
+      xhr.addEventListener("load", () => resolve({ ok: true, reason: null }));
+
+      xhr.addEventListener("error", () => {
+        resolve({ ok: false, reason: this.getErrorReason(xhr.channel) });
+      });
+
+      xhr.addEventListener("timeout", () => {
+        resolve({ ok: false, reason: _("ui.upgrade.error.timeout") });
+      });
+
+      xhr.send();
+    });
+  },
+
+  /**
+   * Creates the request used for probing.
+   *
+   * @return {nsIXMLHttpRequest} A new request.
+   */
+  createRequest: function () {
+    return Cc["@mozilla.org/xmlextras/xmlhttprequest;1"]
+             .createInstance(Ci.nsIXMLHttpRequest);
+  },
+
+  /**
+   * Explains why the probe request failed.
+   *
+   * @param {nsIChannel} channel
+   *        The channel of the failed request.
+   * @return {String} The localized reason.
+   */
+  getErrorReason: function (channel) {
+    let status = channel ? channel.status : 0;
+    return this.getSecurityErrorMessage(status) ||
+      _("ui.upgrade.error.unreachable");
+  },
+
+  /**
+   * Describes a certificate or TLS error.
+   *
+   * @param {Number} status
+   *        The nsresult of the failed request.
+   * @return {String|null} The localized error message or null if the status
+   *   is not a security error.
+   */
+  getSecurityErrorMessage: function (status) {
+    if (!status) {
+      return null;
+    }
+
+    let nssErrors = Cc["@mozilla.org/nss_errors_service;1"]
+                      .getService(Ci.nsINSSErrorsService);
+    try {
+      return nssErrors.getErrorMessage(status);
+    } catch (e) {
+      // Not a NSS error.
+      return null;
+    }
+  },
+};
+
+exports.HttpsProbe = HttpsProbe;
@@ -1,3 +1,4 @@
+const { Ci } = require("chrome");
 const WindowUtils = require('sdk/window/utils');
 const BrowserWindows = require("sdk/windows").browserWindows;
 const ViewFor = require("sdk/view/core").viewFor;
@@ -15,7 +16,18 @@ const DESCRIPTION_STYLE = "white-space: pre-wrap;" +
   "font-size: 110%;" +
   "margin: 0;";
 
+// The choices for suspending the enforcement (in minutes).
+const SUSPEND_MINUTES = [5, 15, 30, 60];
+
 const { Enforcer } = require("./enforcer");
+const { Duration } = require("./duration");
+const { HttpsProbe } = require("./https-probe");
+const { DowngradeMonitor } = require("./downgrade-monitor");
+const { SSSBackend } = require("./sss-backend");
+const { AdminPolicy } = require("./admin-policy");
+const { Hostname } = require("./hostname");
+const { SubresourceTracker } = require("./subresource-tracker");
+const { SiteState } = require("./site-state");
 
 const IdentityPopupIntegration = {
   /**
@@ -24,6 +36,18 @@ const IdentityPopupIntegration = {
   init: function () {
     this.refreshIdentityPopup = this.refreshIdentityPopup.bind(this);
     this.updateEnforcementStatus = this.updateEnforcementStatus.bind(this);
+    this.updateException = this.updateException.bind(this);
+    this.updateParentEnforcement = this.updateParentEnforcement.bind(this);
+    this.moveEnforcementDown = this.moveEnforcementDown.bind(this);
+    this.upgradeToHttps = this.upgradeToHttps.bind(this);
+    this.updateNote = this.updateNote.bind(this);
+    this.undoLastChange = this.undoLastChange.bind(this);
+    this.suspendEnforcement = this.suspendEnforcement.bind(this);
+    this.resumeEnforcement = this.resumeEnforcement.bind(this);
+    this.updateSuspendAll = this.updateSuspendAll.bind(this);
+    this.toggleSubresources = this.toggleSubresources.bind(this);
+    this.enforceSubresources = this.enforceSubresources.bind(this);
+    this.refreshOpenPopups = this.refreshOpenPopups.bind(this);
 
     // Bug 1196577 - BrowserWindows does not include pre-existing private
     // browsing windows when addon enabled or installed
@@ -37,12 +61,29 @@ const IdentityPopupIntegration = {
       if (PrivateBrowsing.isPrivate(window)) {
         // Ensure that STS is still enforced for private contexts. They are
         // stored in-memory and cleared from time to time.
-        Enforcer.ensureSTS();
+        Enforcer.ensurePrivateSTS();
       }
 
       // Plug into the identity popup.
       this._attachIdentityPopup(window);
     });
+
+    // Keep popups that are open in other windows up to date.
+    for (let type of Object.keys(Enforcer.event)) {
+      Enforcer.on(Enforcer.event[type], this.refreshOpenPopups);
+    }
+  },
+
+  /**
+   * Refreshes the identity popups that are currently open.
+   */
+  refreshOpenPopups: function () {
+    for (let window of WindowUtils.windows(null, { includePrivate: true })) {
+      let { popup } = this.popupFor(window);
+      if (popup && popup.state === "open") {
+        this.refreshIdentityPopup({ target: popup });
+      }
+    }
   },
 
   /**
@@ -68,6 +109,17 @@ const IdentityPopupIntegration = {
     return result;
   },
 
+  /**
+   * Returns the host of an URI in the form the Enforcer stores it.
+   *
+   * @param {nsIURI} uri
+   *        The URI of the page.
+   * @return {String} The punycode host without a trailing dot.
+   */
+  hostFor: function (uri) {
+    return Enforcer.keyFor(uri.asciiHost);
+  },
+
   /**
    * Attaches into identity popup of the given window.
    *
@@ -120,8 +172,237 @@ const IdentityPopupIntegration = {
       id: "sts-cb-include"
     });
 
+    let cbPin = this.createElement(doc, "checkbox", {
+      label: _("ui.checkbox.pin"),
+      id: "sts-cb-pin"
+    });
+
+    let cbExcept = this.createElement(doc, "checkbox", {
+      id: "sts-cb-except",
+      hidden: true
+    });
+
+    let durationContainer = this.createElement(doc, "hbox", {
+      align: "center"
+    });
+
+    let durationLabel = this.createElement(doc, "label", {
+      value: _("ui.duration.label"),
+      control: "sts-duration"
+    });
+
+    let duration = this.createElement(doc, "menulist", {
+      id: "sts-duration"
+    });
+
+    let durationPopup = this.createElement(doc, "menupopup");
+    for (let { seconds, label } of Duration.getLabeledChoices()) {
+      durationPopup.appendChild(this.createElement(doc, "menuitem", {
+        label,
+        value: seconds
+      }));
+    }
+
+    duration.appendChild(durationPopup);
+
+    let scope = this.createElement(doc, "menulist", {
+      id: "sts-scope"
+    });
+
+    let scopePopup = this.createElement(doc, "menupopup");
+    for (let key of ["BOTH", "NORMAL", "PRIVATE"]) {
+      scopePopup.appendChild(this.createElement(doc, "menuitem", {
+        label: _("ui.scope." + Enforcer.scope[key]),
+        value: Enforcer.scope[key]
+      }));
+    }
+
+    scope.appendChild(scopePopup);
+
+    durationContainer.appendChild(durationLabel);
+    durationContainer.appendChild(duration);
+    durationContainer.appendChild(scope);
+
+    // Controls for enforcing STS from plain http pages.
+    let btnUpgrade = this.createElement(doc, "button", {
+      id: "sts-btn-upgrade",
+      label: _("ui.button.upgrade"),
+      hidden: true
+    });
+
+    let upgradeMessage = this.createElement(doc, "description", {
+      id: "sts-upgrade-message",
+      style: DESCRIPTION_STYLE,
+      hidden: true
+    });
+
+    // Controls for the parent domain that enforces STS for this site.
+    let parentContainer = this.createElement(doc, "vbox", {
+      id: "sts-parent-controls",
+      hidden: true
+    });
+
+    let cbParentEnforce = this.createElement(doc, "checkbox", {
+      id: "sts-cb-parent-enforce"
+    });
+
+    let cbParentInclude = this.createElement(doc, "checkbox", {
+      id: "sts-cb-parent-include"
+    });
+
+    let btnMoveDown = this.createElement(doc, "button", {
+      id: "sts-btn-move-down",
+      label: _("ui.button.move_down")
+    });
+
+    let ancestors = this.createElement(doc, "description", {
+      id: "sts-ancestors",
+      style: DESCRIPTION_STYLE
+    });
+
+    // Reverts the latest change of any host.
+    let btnUndo = this.createElement(doc, "button", {
+      id: "sts-btn-undo",
+      hidden: true
+    });
+
+    // When, how and why the host was enforced.
+    let metadataContainer = this.createElement(doc, "vbox", {
+      id: "sts-metadata-controls",
+      hidden: true
+    });
+
+    let metadata = this.createElement(doc, "description", {
+      id: "sts-metadata",
+      style: DESCRIPTION_STYLE
+    });
+
+    let note = this.createElement(doc, "textbox", {
+      id: "sts-note",
+      placeholder: _("ui.metadata.note")
+    });
+
+    // Controls for suspending the enforcement for a while, e.g. to log in to
+    // a captive portal.
+    let suspendContainer = this.createElement(doc, "vbox", {
+      id: "sts-suspend-controls",
+      hidden: true
+    });
+
+    let suspendIndicator = this.createElement(doc, "description", {
+      id: "sts-suspended",
+      style: DESCRIPTION_STYLE
+    });
+
+    let suspendDurationContainer = this.createElement(doc, "hbox", {
+      align: "center"
+    });
+
+    let suspendLabel = this.createElement(doc, "label", {
+      value: _("ui.suspend.label"),
+      control: "sts-suspend-duration"
+    });
+
+    let suspendDuration = this.createElement(doc, "menulist", {
+      id: "sts-suspend-duration"
+    });
+
+    let suspendPopup = this.createElement(doc, "menupopup");
+    for (let minutes of SUSPEND_MINUTES) {
+      suspendPopup.appendChild(this.createElement(doc, "menuitem", {
+        label: _("ui.remaining.minutes", minutes),
+        value: minutes
+      }));
+    }
+
+    suspendDuration.appendChild(suspendPopup);
+
+    let btnSuspend = this.createElement(doc, "button", {
+      id: "sts-btn-suspend",
+      label: _("ui.suspend.button")
+    });
+
+    let btnResume = this.createElement(doc, "button", {
+      id: "sts-btn-resume",
+      label: _("ui.suspend.resume"),
+      hidden: true
+    });
+
+    let cbSuspendAll = this.createElement(doc, "checkbox", {
+      id: "sts-cb-suspend-all",
+      label: _("ui.suspend.all")
+    });
+
+    suspendDurationContainer.appendChild(suspendLabel);
+    suspendDurationContainer.appendChild(suspendDuration);
+    suspendDurationContainer.appendChild(btnSuspend);
+    suspendDurationContainer.appendChild(btnResume);
+
+    suspendContainer.appendChild(suspendIndicator);
+    suspendContainer.appendChild(suspendDurationContainer);
+    suspendContainer.appendChild(cbSuspendAll);
+
+    // The hosts the page loads subresources from.
+    let subresourceContainer = this.createElement(doc, "vbox", {
+      id: "sts-subresource-controls",
+      hidden: true
+    });
+
+    let btnSubresources = this.createElement(doc, "button", {
+      id: "sts-btn-subresources",
+      type: "checkbox"
+    });
+
+    let subresourceList = this.createElement(doc, "vbox", {
+      id: "sts-subresource-list",
+      hidden: true
+    });
+
+    let subresourceHosts = this.createElement(doc, "vbox", {
+      id: "sts-subresource-hosts"
+    });
+
+    let subresourceButtons = this.createElement(doc, "hbox");
+
+    let btnEnforceSelected = this.createElement(doc, "button", {
+      id: "sts-btn-enforce-selected",
+      label: _("ui.subresources.enforce_selected")
+    });
+
+    let btnEnforceAll = this.createElement(doc, "button", {
+      id: "sts-btn-enforce-all",
+      label: _("ui.subresources.enforce_all")
+    });
+
+    subresourceButtons.appendChild(btnEnforceSelected);
+    subresourceButtons.appendChild(btnEnforceAll);
+
+    subresourceList.appendChild(subresourceHosts);
+    subresourceList.appendChild(subresourceButtons);
+
+    subresourceContainer.appendChild(btnSubresources);
+    subresourceContainer.appendChild(subresourceList);
+
+    metadataContainer.appendChild(metadata);
+    metadataContainer.appendChild(note);
+
+    parentContainer.appendChild(cbParentEnforce);
+    parentContainer.appendChild(cbParentInclude);
+    parentContainer.appendChild(btnMoveDown);
+    parentContainer.appendChild(ancestors);
+
     checkboxContainer.appendChild(cbCurrentDomain);
     checkboxContainer.appendChild(cbInclude);
+    checkboxContainer.appendChild(cbPin);
+    checkboxContainer.appendChild(durationContainer);
+    checkboxContainer.appendChild(metadataContainer);
+    checkboxContainer.appendChild(cbExcept);
+    checkboxContainer.appendChild(parentContainer);
+    checkboxContainer.appendChild(btnUpgrade);
+    checkboxContainer.appendChild(upgradeMessage);
+    checkboxContainer.appendChild(subresourceContainer);
+    checkboxContainer.appendChild(suspendContainer);
+    checkboxContainer.appendChild(btnUndo);
 
     section.appendChild(container);
     container.appendChild(header);
@@ -132,6 +413,22 @@ const IdentityPopupIntegration = {
 
     cbCurrentDomain.addEventListener("command", this.updateEnforcementStatus);
     cbInclude.addEventListener("command", this.updateEnforcementStatus);
+    cbPin.addEventListener("command", this.updateEnforcementStatus);
+    duration.addEventListener("command", this.updateEnforcementStatus);
+    scope.addEventListener("command", this.updateEnforcementStatus);
+    cbExcept.addEventListener("command", this.updateException);
+    cbParentEnforce.addEventListener("command", this.updateParentEnforcement);
+    cbParentInclude.addEventListener("command", this.updateParentEnforcement);
+    btnMoveDown.addEventListener("command", this.moveEnforcementDown);
+    btnUpgrade.addEventListener("command", this.upgradeToHttps);
+    note.addEventListener("change", this.updateNote);
+    btnUndo.addEventListener("command", this.undoLastChange);
+    btnSuspend.addEventListener("command", this.suspendEnforcement);
+    btnResume.addEventListener("command", this.resumeEnforcement);
+    cbSuspendAll.addEventListener("command", this.updateSuspendAll);
+    btnSubresources.addEventListener("command", this.toggleSubresources);
+    btnEnforceSelected.addEventListener("command", this.enforceSubresources);
+    btnEnforceAll.addEventListener("command", this.enforceSubresources);
 
     doc.getElementById("identity-popup-mainView").appendChild(section);
   },
@@ -142,16 +439,274 @@ const IdentityPopupIntegration = {
   updateEnforcementStatus: function (event) {
     let doc = event.target.ownerDocument;
     let uri = doc.getElementById("content").currentURI;
+    let host = this.hostFor(uri);
     let section = doc.getElementById("sts-section");
-    let { enforce, include } = this.checkboxesFor(section);
+    let { enforce, include, pin, duration, scope } =
+      this.checkboxesFor(section);
 
     // Update the state according to the checkboxes.
-    Enforcer.setSTSForHost(uri.host, enforce.checked, include.checked);
+    Enforcer.setSTSForHost(host, enforce.checked, include.checked,
+                           Number(duration.value), scope.value,
+                           Enforcer.source.POPUP);
+
+    let pinned = Enforcer.getPinStatusForHost(host) ===
+                 Enforcer.pinStatus.USER_PINNED;
+    let pinFailed = false;
+    if (enforce.checked && pin.checked && !pinned) {
+      let pins = this.pinsFor(doc);
+      pinFailed = !pins || !Enforcer.setPinsForHost(host, pins);
+    } else if (enforce.checked && !pin.checked && pinned) {
+      Enforcer.setPinsForHost(host, null);
+    }
+
+    // Update the UI.
+    this.refreshIdentityPopup(event);
+    if (pinFailed) {
+      let status = doc.getElementById("sts-status");
+      status.textContent += "\n" + _("ui.status.pin_failed");
+    }
+  },
+
+  /**
+   * Event handler for the subdomain exception checkbox.
+   */
+  updateException: function (event) {
+    let doc = event.target.ownerDocument;
+    let uri = doc.getElementById("content").currentURI;
+    let host = this.hostFor(uri);
+    let { except } = this.checkboxesFor(event.target);
+
+    Enforcer.setExceptionForHost(host, except.checked);
+
+    // Update the UI.
+    this.refreshIdentityPopup(event);
+  },
+
+  /**
+   * Event handler for the note of an user enforced host.
+   */
+  updateNote: function (event) {
+    let doc = event.target.ownerDocument;
+    let uri = doc.getElementById("content").currentURI;
+    let host = this.hostFor(uri);
+
+    Enforcer.setNoteForHost(host, event.target.value);
+
+    // Update the UI.
+    this.refreshIdentityPopup(event);
+  },
+
+  /**
+   * Event handler for the undo button.
+   */
+  undoLastChange: function (event) {
+    Enforcer.undoLastChange();
+
+    // Update the UI.
+    this.refreshIdentityPopup(event);
+  },
+
+  /**
+   * Event handler for the button that suspends the enforcement of the site.
+   */
+  suspendEnforcement: function (event) {
+    let doc = event.target.ownerDocument;
+    let uri = doc.getElementById("content").currentURI;
+    let host = Enforcer.getSuspendableHost(this.hostFor(uri));
+    let { duration } = this.suspendControlsFor(event.target);
+
+    if (host !== null) {
+      Enforcer.suspendHost(host, Number(duration.value) * 60 * 1000);
+    }
+
+    // Update the UI.
+    this.refreshIdentityPopup(event);
+  },
+
+  /**
+   * Event handler for the button that ends the suspension of the site.
+   */
+  resumeEnforcement: function (event) {
+    let doc = event.target.ownerDocument;
+    let uri = doc.getElementById("content").currentURI;
+    let host = Enforcer.getSuspendableHost(this.hostFor(uri));
+
+    if (host !== null) {
+      Enforcer.resumeHost(host);
+    }
+
+    // Update the UI.
+    this.refreshIdentityPopup(event);
+  },
+
+  /**
+   * Event handler for the checkbox that suspends the enforcement of all
+   * sites.
+   */
+  updateSuspendAll: function (event) {
+    let { duration, all } = this.suspendControlsFor(event.target);
+
+    if (all.checked) {
+      Enforcer.suspendAll(Number(duration.value) * 60 * 1000);
+    } else {
+      Enforcer.resumeAll();
+    }
+
+    // Update the UI.
+    this.refreshIdentityPopup(event);
+  },
+
+  /**
+   * Event handler for the button that expands the list of hosts the page
+   * loads subresources from.
+   */
+  toggleSubresources: function (event) {
+    let { button, list } = this.subresourceControlsFor(event.target);
+    list.hidden = !button.checked;
+  },
+
+  /**
+   * Event handler for the buttons that enforce STS for the selected or all
+   * hosts the page loads subresources from.
+   */
+  enforceSubresources: function (event) {
+    let { hosts, enforceAll } = this.subresourceControlsFor(event.target);
+    let all = event.target === enforceAll;
+
+    // The hosts are undone in one step.
+    Enforcer.groupChanges(Enforcer.source.SUBRESOURCE, () => {
+      for (let checkbox of hosts.querySelectorAll("checkbox")) {
+        if (!checkbox.disabled && (all || checkbox.checked)) {
+          Enforcer.setSTSForHost(checkbox.getAttribute("value"), true, false,
+                                 undefined, undefined,
+                                 Enforcer.source.SUBRESOURCE);
+        }
+      }
+    });
+
+    // Update the UI.
+    this.refreshIdentityPopup(event);
+  },
+
+  /**
+   * Event handler for the parent domain checkboxes.
+   */
+  updateParentEnforcement: function (event) {
+    let doc = event.target.ownerDocument;
+    let uri = doc.getElementById("content").currentURI;
+    let host = this.hostFor(uri);
+    let parent = Enforcer.getEnforcingParentHost(host);
+    let { enforce, include } = this.parentControlsFor(event.target);
+
+    if (parent !== null) {
+      Enforcer.setSTSForHost(parent, enforce.checked, include.checked,
+                             undefined, undefined, Enforcer.source.POPUP);
+    }
+
+    // Update the UI.
+    this.refreshIdentityPopup(event);
+  },
+
+  /**
+   * Event handler for the button that moves the enforcement from the parent
+   * domain to the current site.
+   */
+  moveEnforcementDown: function (event) {
+    let doc = event.target.ownerDocument;
+    let uri = doc.getElementById("content").currentURI;
+    let host = this.hostFor(uri);
+    let parent = Enforcer.getEnforcingParentHost(host);
+
+    if (parent !== null) {
+      // The move is undone in one step.
+      let { duration, scope } = Enforcer.storage.enforceHosts[parent];
+      Enforcer.groupChanges(Enforcer.source.POPUP, () => {
+        Enforcer.setSTSForHost(parent, false, false, undefined, undefined,
+                               Enforcer.source.POPUP);
+        Enforcer.setSTSForHost(host, true, false, duration, scope,
+                               Enforcer.source.POPUP);
+      });
+    }
 
     // Update the UI.
     this.refreshIdentityPopup(event);
   },
 
+  /**
+   * Event handler for the button that enforces STS for a plain http page and
+   * reloads it over https. The host is probed first so that STS doesn't make
+   * the site unreachable.
+   */
+  upgradeToHttps: function (event) {
+    let browser = event.target.ownerDocument.getElementById("content")
+                                            .selectedBrowser;
+    let uri = browser.currentURI;
+    let host = this.hostFor(uri);
+    let { include, duration, scope } = this.checkboxesFor(event.target);
+    let { button, message } = this.upgradeControlsFor(event.target);
+
+    let includeSubdomains = include.checked;
+    let seconds = Number(duration.value);
+    let scopeValue = scope.value;
+
+    button.disabled = true;
+    message.hidden = false;
+    message.textContent = _("ui.upgrade.probing", host);
+
+    let upgrade = HttpsProbe.upgrade(uri, includeSubdomains, seconds,
+                                     scopeValue, Enforcer.source.POPUP);
+    upgrade.then(({ ok, reason, uri: secure }) => {
+      button.disabled = false;
+
+      if (!ok) {
+        message.textContent = _("ui.upgrade.failed", host, reason);
+        return;
+      }
+
+      message.hidden = true;
+
+      // Reload unless the user has navigated away while waiting.
+      if (browser.currentURI.spec === uri.spec) {
+        browser.loadURI(secure.spec);
+      }
+    }).catch(e => {
+      console.error("Failed to upgrade " + host + ": " + e);
+
+      button.disabled = false;
+      message.hidden = false;
+      message.textContent = _("ui.upgrade.failed", host,
+                              _("ui.upgrade.error.unreachable"));
+    });
+  },
+
+  /**
+   * Shows the controls of the parent domain enforcing STS for the site.
+   *
+   * @param {Element} el
+   *        An element of the identity popup.
+   * @param {String} host
+   *        The current host.
+   * @param {String} parent
+   *        The enforcing parent host.
+   */
+  refreshParentControls: function (el, host, parent) {
+    let { container, enforce, include, ancestors } =
+      this.parentControlsFor(el);
+
+    container.hidden = false;
+
+    enforce.setAttribute("label", _("ui.checkbox.parent_enforce", parent));
+    enforce.checked = true;
+
+    include.setAttribute("label", _("ui.checkbox.parent_include_sub", parent));
+    include.checked = !!Enforcer.storage.enforceHosts[parent].includeSubdomains;
+
+    let others = Enforcer.getEnforcedAncestorHosts(host)
+                         .filter(ancestor => ancestor !== parent);
+    ancestors.hidden = others.length === 0;
+    ancestors.textContent = _("ui.status.other_ancestors", others.join(", "));
+  },
+
   /**
    * Refreshes the STS status for the identity popup of the target window of
    * the event.
@@ -160,59 +715,427 @@ const IdentityPopupIntegration = {
     let doc = event.target.ownerDocument;
     let uri = doc.getElementById("content").currentURI;
     let section = doc.getElementById("sts-section");
-    if (!uri.schemeIs("https")) {
+
+    // Plain http pages are shown too so that STS can be enforced for them.
+    if (!uri.schemeIs("https") && !uri.schemeIs("http")) {
       section.hidden = true;
       return;
     }
 
+    let host = this.hostFor(uri);
+
     // Get the relevant nodes
     let status = doc.getElementById("sts-status");
-    let { enforce, include } = this.checkboxesFor(status);
+    let { enforce, include, pin, duration, scope, except } =
+      this.checkboxesFor(status);
 
     // Reset all checkbox state.
     section.hidden = false;
     include.hidden = false;
     enforce.hidden = false;
-    include.disable = false;
-    enforce.disable = false;
+    pin.hidden = false;
+    pin.checked = false;
+    pin.disabled = true;
+    duration.parentNode.hidden = false;
+    except.hidden = true;
+    except.checked = false;
+    this.parentControlsFor(status).container.hidden = true;
+    this.metadataControlsFor(status).container.hidden = true;
+
+    let undo = doc.getElementById("sts-btn-undo");
+    let [lastChange] = Enforcer.getChanges();
+    undo.hidden = !lastChange;
+    if (lastChange) {
+      undo.setAttribute("label", _("ui.button.undo", lastChange.host));
+    }
+
+    this.refreshSuspendControls(status, host);
+    this.refreshSubresources(status,
+      doc.getElementById("content").selectedBrowser);
+
+    let upgrade = this.upgradeControlsFor(status);
+    upgrade.button.hidden = true;
+    if (!upgrade.button.disabled) {
+      // Keep the message of a probe that is still in progress.
+      upgrade.message.hidden = true;
+    }
+    include.disabled = false;
+    enforce.disabled = false;
     include.checked = false;
     enforce.checked = false;
 
-    switch (Enforcer.getSTSStatusForHost(uri.host)) {
+    // Show the duration and scope of the current entry or default to
+    // forever in all windows.
+    let entry = Enforcer.storage.enforceHosts[host];
+    duration.value = String((entry && entry.duration) || 0);
+    scope.value = (entry && entry.scope) || Enforcer.scope.BOTH;
+
+    switch (Enforcer.getSTSStatusForHost(host)) {
       case Enforcer.status.USER_ENFORCED:
-        status.textContent = _("ui.status.user_enforced");
+        status.textContent = this.userEnforcedStatus(doc, host);
         enforce.checked = true;
+        this.refreshPinCheckbox(pin, host);
+        this.refreshMetadata(status, entry);
         break;
 
       case Enforcer.status.USER_ENFORCED_WITH_SUBDOMAINS:
-        status.textContent = _("ui.status.user_enforced");
+        status.textContent = this.userEnforcedStatus(doc, host);
         include.checked = true;
         enforce.checked = true;
+        this.refreshPinCheckbox(pin, host);
+        this.refreshMetadata(status, entry);
         break;
 
-      case Enforcer.status.USER_ENFORCED_PARENT:
-        let h = Enforcer.getEnforcingParentHost(uri.host)
+      case Enforcer.status.USER_ENFORCED_PARENT: {
+        let h = Enforcer.getEnforcingParentHost(host)
         status.textContent = _("ui.status.user_enforced_parent", h);
 
-        // Should be edited in the parent domain, not here.
+        let suspended = Enforcer.getSuspendedTime(h);
+        if (suspended !== null) {
+          status.textContent += "\n" + _("ui.status.suspended",
+                                         Duration.formatRemaining(suspended));
+        }
+
+        // The parent is edited with its own controls.
         include.hidden = true;
         enforce.hidden = true;
+        pin.hidden = true;
+        duration.parentNode.hidden = true;
+        this.refreshParentControls(status, host, h);
+
+        // Subdomains can be exempted if the parent includes them.
+        if (Enforcer.storage.enforceHosts[h].includeSubdomains) {
+          except.setAttribute("label", _("ui.checkbox.except", h));
+          except.hidden = false;
+        }
+        break;
+      }
+
+      case Enforcer.status.USER_EXCEPTED: {
+        let parent = Enforcer.getEnforcingParentHost(host);
+        status.textContent = _("ui.status.user_excepted", parent);
+
+        include.hidden = true;
+        enforce.hidden = true;
+        pin.hidden = true;
+        duration.parentNode.hidden = true;
+
+        except.setAttribute("label", _("ui.checkbox.except", parent));
+        except.hidden = false;
+        except.checked = true;
         break;
+      }
 
       case Enforcer.status.SITE_ENFORCED:
-        status.textContent = _("ui.status.site_enforced");
-        // Don't even show the controls since the site is enforcing STS.
+        // The user may enforce STS to keep it even if the site stops sending
+        // the header.
+        status.textContent = _("ui.status.site_enforced") + "\n" +
+                             this.sitePolicyStatus(host) + "\n" +
+                             _("ui.status.site_enforced_keep");
+        break;
+
+      case Enforcer.status.ADMIN_ENFORCED: {
+        // The policy is shown but can't be changed.
+        let admin = AdminPolicy.getEnforcingHost(host);
+        status.textContent = admin === host ?
+          _("ui.status.admin_enforced") :
+          _("ui.status.admin_enforced_parent", admin);
+
+        enforce.checked = true;
+        enforce.disabled = true;
+        include.checked = AdminPolicy.getEntries()[admin].includeSubdomains;
+        include.disabled = true;
+        pin.hidden = true;
+        duration.parentNode.hidden = true;
+        break;
+      }
+
+      case Enforcer.status.PRELOADED:
+        // The browser always enforces STS for the site; an user entry would
+        // add nothing.
+        status.textContent = _("ui.status.preloaded");
         include.hidden = true;
         enforce.hidden = true;
+        pin.hidden = true;
+        duration.parentNode.hidden = true;
         break;
 
-      case Enforcer.status.NOT_ENFORCED:
+      case Enforcer.status.NOT_ENFORCED: {
         status.textContent = _("ui.status.not_enforced");
+
+        let { error } = Hostname.validate(host);
+        if (error) {
+          // Nothing can be enforced for hosts like IP addresses.
+          status.textContent += "\n" + error;
+          include.hidden = true;
+          enforce.hidden = true;
+          pin.hidden = true;
+          duration.parentNode.hidden = true;
+          break;
+        }
+
+        if (uri.schemeIs("http")) {
+          // The host is probed and enforced with the upgrade button instead.
+          enforce.hidden = true;
+          pin.hidden = true;
+          upgrade.button.hidden = false;
+        }
+        break;
+      }
+    }
+  },
+
+  /**
+   * Shows the controls for suspending the enforcement of the site or all
+   * sites, and how many sites are suspended.
+   *
+   * @param {Element} el
+   *        An element of the identity popup.
+   * @param {String} host
+   *        The current host.
+   */
+  refreshSuspendControls: function (el, host) {
+    let { container, indicator, suspend, resume, all } =
+      this.suspendControlsFor(el);
+    let suspended = Enforcer.getSuspendedHosts();
+    let allSuspended = Enforcer.isAllSuspended();
+    let target = Enforcer.getSuspendableHost(host);
+
+    // Nothing can be suspended before the user has enforced some host.
+    container.hidden = Object.keys(Enforcer.storage.enforceHosts).length === 0;
+
+    indicator.hidden = !allSuspended && suspended.length === 0;
+    indicator.textContent = allSuspended ? _("ui.suspend.indicator_all") :
+      _("ui.suspend.indicator", suspended.length);
+    all.checked = allSuspended;
+
+    let isSuspended = target !== null && suspended.indexOf(target) !== -1;
+    suspend.hidden = target === null || isSuspended;
+    resume.hidden = !isSuspended;
+  },
+
+  /**
+   * Lists the hosts the page loads subresources from with their status.
+   *
+   * @param {Element} el
+   *        An element of the identity popup.
+   * @param {Object} browser
+   *        The <browser> element of the selected tab.
+   */
+  refreshSubresources: function (el, browser) {
+    let { container, button, hosts, enforceSelected, enforceAll } =
+      this.subresourceControlsFor(el);
+    let subresources = SubresourceTracker.getHosts(browser);
+
+    container.hidden = subresources.length === 0;
+    button.setAttribute("label",
+                        _("ui.subresources.toggle", subresources.length));
+
+    while (hosts.firstChild) {
+      hosts.firstChild.remove();
+    }
+
+    let enforceable = 0;
+    for (let { host, scheme } of subresources) {
+      let status = Enforcer.getSTSStatusForHost(host);
+      let label = _(scheme === "https" ? "ui.subresources.host" :
+                                         "ui.subresources.host_http",
+                    host, _("ui.subresources.status." + status));
+
+      // Plain http hosts might not support https at all.
+      let canEnforce = scheme === "https" && !Hostname.validate(host).error &&
+        (status === Enforcer.status.NOT_ENFORCED ||
+         status === Enforcer.status.SITE_ENFORCED);
+      if (canEnforce) {
+        enforceable++;
+      }
+
+      let attributes = { label, value: host };
+      if (!canEnforce) {
+        attributes.disabled = true;
+      }
+
+      hosts.appendChild(this.createElement(el.ownerDocument, "checkbox",
+                                           attributes));
+    }
+
+    enforceSelected.disabled = enforceable === 0;
+    enforceAll.disabled = enforceable === 0;
+  },
+
+  /**
+   * Shows when and how an user enforced host was added and its note.
+   *
+   * @param {Element} el
+   *        An element of the identity popup.
+   * @param {Object} entry
+   *        The storage entry of the host.
+   */
+  refreshMetadata: function (el, entry) {
+    let { container, details, note } = this.metadataControlsFor(el);
+    let source = _("ui.source." + (entry.source || Enforcer.source.UNKNOWN));
+
+    let lines = [];
+    if (entry.added) {
+      lines.push(_("ui.metadata.added",
+                   new Date(entry.added).toLocaleString(), source));
+    } else {
+      lines.push(_("ui.metadata.added_unknown"));
+    }
+
+    if (entry.modified && entry.modified !== entry.added) {
+      lines.push(_("ui.metadata.modified",
+                   new Date(entry.modified).toLocaleString()));
+    }
+
+    details.textContent = lines.join("\n");
+    note.value = entry.note || "";
+    container.hidden = false;
+  },
+
+  /**
+   * Updates the pin checkbox for a host the user has enforced.
+   *
+   * @param {Element} pin
+   *        The pin checkbox.
+   * @param {String} host
+   *        The user enforced host.
+   */
+  refreshPinCheckbox: function (pin, host) {
+    if (!Enforcer.backend.supportsPins) {
+      // The enforcement backend can't pin keys.
+      pin.hidden = true;
+      return;
+    }
+
+    switch (Enforcer.getPinStatusForHost(host)) {
+      case Enforcer.pinStatus.USER_PINNED:
+        pin.checked = true;
+        pin.disabled = false;
+        break;
+
+      case Enforcer.pinStatus.SITE_PINNED:
+        // The site manages its own pins.
+        pin.hidden = true;
+        break;
+
+      case Enforcer.pinStatus.NOT_PINNED:
+        pin.disabled = false;
         break;
     }
   },
 
+  /**
+   * Returns the pins of the certificate chain shown in the given window.
+   *
+   * @param {Document} doc
+   *        The chrome document of the window.
+   * @return {Array|null} The pins or null if the page has no certificate.
+   */
+  pinsFor: function (doc) {
+    let securityUI = doc.getElementById("content").securityUI;
+    if (!securityUI) {
+      return null;
+    }
+
+    let { SSLStatus } = securityUI.QueryInterface(Ci.nsISSLStatusProvider);
+    if (!SSLStatus || !SSLStatus.serverCert) {
+      return null;
+    }
+
+    return Enforcer.getPinsForCertificate(SSLStatus.serverCert);
+  },
+
+  /**
+   * Returns the status message for a host the user has enforced.
+   *
+   * @param {Document} doc
+   *        The chrome document of the window showing the popup.
+   * @param {String} host
+   *        The user enforced host.
+   * @return {String} The localized message including the remaining time if
+   *   the enforcement is time-limited.
+   */
+  userEnforcedStatus: function (doc, host) {
+    let message = _("ui.status.user_enforced");
+    let entry = Enforcer.storage.enforceHosts[host];
+
+    let isPrivate = PrivateBrowsing.isPrivate(doc.defaultView);
+    if (!Enforcer.coversContext(entry, isPrivate)) {
+      message = isPrivate ? _("ui.status.user_enforced_normal_only") :
+                            _("ui.status.user_enforced_private_only");
+    }
+
+    if (entry.pins) {
+      message += "\n" + _("ui.status.user_pinned", entry.pins.length);
+    }
+
+    let remaining = Enforcer.getRemainingTime(host);
+    if (remaining !== null) {
+      message += "\n" + _("ui.status.expires", Duration.formatRemaining(remaining));
+    }
+
+    let suspended = Enforcer.getSuspendedTime(host);
+    if (suspended !== null) {
+      message += "\n" + _("ui.status.suspended",
+                          Duration.formatRemaining(suspended));
+    }
+
+    if (Enforcer.isRedundant(host)) {
+      message += "\n" + _("ui.status.redundant");
+    }
+
+    return message;
+  },
+
+  /**
+   * Describes the policy the site has set for itself in normal and private
+   * windows.
+   *
+   * @param {String} host
+   *        The site enforced host.
+   * @return {String} The localized description with a line for each context.
+   */
+  sitePolicyStatus: function (host) {
+    let contexts = [
+      ["ui.policy.normal", false, Enforcer.scope.NORMAL],
+      ["ui.policy.private", true, Enforcer.scope.PRIVATE],
+    ];
+
+    return contexts.map(([key, isPrivate, scope]) => {
+      let [flags] = Enforcer.getFlagsForScope(scope);
+      if (!SSSBackend.isSTSEnabled(Enforcer.getURI(host), flags)) {
+        return _(key, _("ui.policy.none"));
+      }
+
+      // The stored state is authoritative in normal windows but private
+      // windows may have received a header of their own. The state file is
+      // written with a delay so the observed headers fill in the rest.
+      let stored = SiteState.getPolicy(host);
+      let observed = DowngradeMonitor.getSitePolicy(host, isPrivate);
+      let policy = isPrivate ? observed || stored : stored || observed;
+      if (!policy) {
+        return _(key, _("ui.policy.unknown"));
+      }
+
+      let subdomains = policy.includeSubdomains ?
+        _("ui.policy.with_sub") : _("ui.policy.without_sub");
+      let expires = new Date(policy.expires).toLocaleString();
+      if (policy === stored) {
+        return _(key, _("ui.policy.stored_details", subdomains, expires,
+                        policy.source));
+      }
+
+      return _(key, _("ui.policy.details", subdomains, policy.maxAge,
+                      expires, policy.source));
+    }).join("\n");
+  },
+
   destroy: function () {
+    for (let type of Object.keys(Enforcer.event)) {
+      Enforcer.removeListener(Enforcer.event[type], this.refreshOpenPopups);
+    }
+
     for (let win of WindowUtils.windows(null, { includePrivate: true })) {
       let { doc, popup } = this.popupFor(win);
       if (!doc || !popup ) {
@@ -225,9 +1148,46 @@ const IdentityPopupIntegration = {
       let status = doc.getElementById("sts-section");
       if (status) {
         // Remove checkbox listeners.
-        let { enforce, include } = this.checkboxesFor(status);
+        let { enforce, include, pin, duration, scope, except } =
+          this.checkboxesFor(status);
         enforce.removeEventListener("command", this.updateEnforcementStatus);
         include.removeEventListener("command", this.updateEnforcementStatus);
+        pin.removeEventListener("command", this.updateEnforcementStatus);
+        duration.removeEventListener("command", this.updateEnforcementStatus);
+        scope.removeEventListener("command", this.updateEnforcementStatus);
+        except.removeEventListener("command", this.updateException);
+
+        let parentControls = this.parentControlsFor(status);
+        parentControls.enforce.removeEventListener("command",
+          this.updateParentEnforcement);
+        parentControls.include.removeEventListener("command",
+          this.updateParentEnforcement);
+        parentControls.moveDown.removeEventListener("command",
+          this.moveEnforcementDown);
+
+        this.upgradeControlsFor(status).button.removeEventListener("command",
+          this.upgradeToHttps);
+
+        this.metadataControlsFor(status).note.removeEventListener("change",
+          this.updateNote);
+        doc.getElementById("sts-btn-undo").removeEventListener("command",
+          this.undoLastChange);
+
+        let suspendControls = this.suspendControlsFor(status);
+        suspendControls.suspend.removeEventListener("command",
+          this.suspendEnforcement);
+        suspendControls.resume.removeEventListener("command",
+          this.resumeEnforcement);
+        suspendControls.all.removeEventListener("command",
+          this.updateSuspendAll);
+
+        let subresourceControls = this.subresourceControlsFor(status);
+        subresourceControls.button.removeEventListener("command",
+          this.toggleSubresources);
+        subresourceControls.enforceSelected.removeEventListener("command",
+          this.enforceSubresources);
+        subresourceControls.enforceAll.removeEventListener("command",
+          this.enforceSubresources);
 
         // Remove the section.
         status.remove();
@@ -272,14 +1232,125 @@ const IdentityPopupIntegration = {
    * @param {Element} el
    *        The identity popup or STS status container to retrieve the
    *        checkboxes from.
-   * @return An object of form { enforce, include } where enforce is the
-   * Enforce STS checkbox and include the Include Subdomains checkbox.
+   * @return An object of form { enforce, include, pin, duration, scope,
+   * except } where enforce is the Enforce STS checkbox, include the Include
+   * Subdomains checkbox, pin the Pin Keys checkbox, duration the enforcement
+   * duration menulist, scope the menulist of the windows the enforcement
+   * applies to and except the subdomain exception checkbox.
    */
   checkboxesFor: function(el) {
     let enforce = el.ownerDocument.getElementById("sts-cb-enforce");
     let include = el.ownerDocument.getElementById("sts-cb-include");
+    let pin = el.ownerDocument.getElementById("sts-cb-pin");
+    let duration = el.ownerDocument.getElementById("sts-duration");
+    let scope = el.ownerDocument.getElementById("sts-scope");
+    let except = el.ownerDocument.getElementById("sts-cb-except");
+
+    return { enforce, include, pin, duration, scope, except };
+  },
+
+  /**
+   * Retrieve the parent domain controls for the given identity popup.
+   *
+   * @param {Element} el
+   *        An element of the identity popup.
+   * @return An object of form { container, enforce, include, moveDown,
+   * ancestors } with the container of the controls, the parent's Enforce STS
+   * and Include Subdomains checkboxes, the button that moves the enforcement
+   * to the current site and the list of other enforced ancestors.
+   */
+  parentControlsFor: function(el) {
+    let doc = el.ownerDocument;
+
+    return {
+      container: doc.getElementById("sts-parent-controls"),
+      enforce: doc.getElementById("sts-cb-parent-enforce"),
+      include: doc.getElementById("sts-cb-parent-include"),
+      moveDown: doc.getElementById("sts-btn-move-down"),
+      ancestors: doc.getElementById("sts-ancestors")
+    };
+  },
+
+  /**
+   * Retrieve the metadata controls for the given identity popup.
+   *
+   * @param {Element} el
+   *        An element of the identity popup.
+   * @return An object of form { container, details, note } with the container
+   * of the controls, the description of when and how the host was added and
+   * the note textbox.
+   */
+  metadataControlsFor: function(el) {
+    let doc = el.ownerDocument;
+
+    return {
+      container: doc.getElementById("sts-metadata-controls"),
+      details: doc.getElementById("sts-metadata"),
+      note: doc.getElementById("sts-note")
+    };
+  },
+
+  /**
+   * Retrieve the suspension controls for the given identity popup.
+   *
+   * @param {Element} el
+   *        An element of the identity popup.
+   * @return An object of form { container, indicator, duration, suspend,
+   * resume, all } with the container of the controls, the description of the
+   * suspended sites, the suspension duration menulist, the buttons that
+   * suspend and resume the site and the Suspend All checkbox.
+   */
+  suspendControlsFor: function(el) {
+    let doc = el.ownerDocument;
+
+    return {
+      container: doc.getElementById("sts-suspend-controls"),
+      indicator: doc.getElementById("sts-suspended"),
+      duration: doc.getElementById("sts-suspend-duration"),
+      suspend: doc.getElementById("sts-btn-suspend"),
+      resume: doc.getElementById("sts-btn-resume"),
+      all: doc.getElementById("sts-cb-suspend-all")
+    };
+  },
+
+  /**
+   * Retrieve the subresource host controls for the given identity popup.
+   *
+   * @param {Element} el
+   *        An element of the identity popup.
+   * @return An object of form { container, button, list, hosts,
+   * enforceSelected, enforceAll } with the container of the controls, the
+   * button that expands the list, the expandable list, the container of the
+   * host checkboxes and the Enforce Selected and Enforce All buttons.
+   */
+  subresourceControlsFor: function(el) {
+    let doc = el.ownerDocument;
+
+    return {
+      container: doc.getElementById("sts-subresource-controls"),
+      button: doc.getElementById("sts-btn-subresources"),
+      list: doc.getElementById("sts-subresource-list"),
+      hosts: doc.getElementById("sts-subresource-hosts"),
+      enforceSelected: doc.getElementById("sts-btn-enforce-selected"),
+      enforceAll: doc.getElementById("sts-btn-enforce-all")
+    };
+  },
+
+  /**
+   * Retrieve the controls for enforcing STS from plain http pages.
+   *
+   * @param {Element} el
+   *        An element of the identity popup.
+   * @return An object of form { button, message } with the Enforce HTTPS and
+   * Reload button and the description showing the progress of the upgrade.
+   */
+  upgradeControlsFor: function(el) {
+    let doc = el.ownerDocument;
 
-    return { enforce, include };
+    return {
+      button: doc.getElementById("sts-btn-upgrade"),
+      message: doc.getElementById("sts-upgrade-message")
+    };
   }
 };
 
@@ -0,0 +1,359 @@
+const PageMod = require("sdk/page-mod").PageMod;
+const SimplePrefs = require("sdk/simple-prefs");
+const Tabs = require("sdk/tabs");
+const Self = require("sdk/self");
+const _ = require("sdk/l10n").get;
+
+const { Enforcer } = require("./enforcer");
+const { HostList } = require("./host-list");
+const { Duration } = require("./duration");
+const { Suggestions } = require("./suggestions");
+const { StateGuard } = require("./state-guard");
+const { FailureMonitor } = require("./failure-monitor");
+const { HistoryScanner } = require("./history-scanner");
+const { AdminPolicy } = require("./admin-policy");
+const { Hostname } = require("./hostname");
+
+const PAGE_URL = Self.data.url("manage.html");
+
+// The strings the management page needs. They are passed to the content
+// script as the page can't access the locale files itself.
+const STRINGS = [
+  "ui.manage.title",
+  "ui.manage.search",
+  "ui.manage.sort",
+  "ui.manage.sort.host_asc",
+  "ui.manage.sort.host_desc",
+  "ui.manage.sort.subdomains",
+  "ui.manage.add",
+  "ui.manage.host",
+  "ui.manage.include_sub",
+  "ui.manage.remove",
+  "ui.manage.empty",
+  "ui.manage.expires",
+  "ui.duration.label",
+  "ui.duration.forever",
+  "ui.scope.label",
+  "ui.scope.both",
+  "ui.scope.normal",
+  "ui.scope.private",
+  "ui.suggest.title",
+  "ui.suggest.loads",
+  "ui.suggest.enforce",
+  "ui.suggest.ignore",
+  "ui.suggest.empty",
+  "ui.suggest.ignored",
+  "ui.suggest.unignore",
+  "ui.failures.title",
+  "ui.failures.time",
+  "ui.failures.enforcing",
+  "ui.failures.reason",
+  "ui.failures.empty",
+  "ui.import.title",
+  "ui.import.export",
+  "ui.import.file",
+  "ui.import.merge",
+  "ui.import.replace",
+  "ui.import.apply",
+  "ui.import.cancel",
+  "ui.import.added",
+  "ui.import.conflicts",
+  "ui.import.removed",
+  "ui.import.invalid",
+  "ui.import.nothing",
+  "ui.import.with_sub",
+  "ui.import.without_sub",
+  "ui.scan.title",
+  "ui.scan.start",
+  "ui.scan.domain",
+  "ui.scan.hosts",
+  "ui.scan.enforce",
+  "ui.scan.empty",
+  "ui.history.title",
+  "ui.history.time",
+  "ui.history.change",
+  "ui.history.source",
+  "ui.history.revert",
+  "ui.history.empty",
+  "ui.manage.redundant",
+  "ui.manage.admin",
+  "ui.manage.discarded",
+  "ui.manage.discarded.dismiss",
+];
+
+const ManagementPage = {
+  /**
+   * Registers the management page and the preference button that opens it.
+   */
+  init: function () {
+    this.open = this.open.bind(this);
+
+    this.pageMod = PageMod({
+      include: PAGE_URL,
+      contentScriptFile: Self.data.url("manage.js"),
+      contentScriptWhen: "ready",
+      contentScriptOptions: {
+        strings: this.getStrings(),
+        durations: Duration.getLabeledChoices()
+      },
+      onAttach: worker => this._attachWorker(worker),
+    });
+
+    SimplePrefs.on("manageHosts", this.open);
+  },
+
+  /**
+   * Opens the management page or activates it if it's already open.
+   */
+  open: function () {
+    for (let tab of Tabs) {
+      if (tab.url === PAGE_URL) {
+        tab.activate();
+        return;
+      }
+    }
+
+    Tabs.open(PAGE_URL);
+  },
+
+  /**
+   * Hooks the given page worker to the Enforcer.
+   *
+   * @param {Worker} worker
+   *        The worker of the management page.
+   */
+  _attachWorker: function (worker) {
+    worker.port.on("add", ({ host, includeSubdomains, duration, scope }) => {
+      let { host: normalized, error } = Hostname.validate(host);
+      if (!normalized) {
+        worker.port.emit("error", error);
+        return;
+      }
+
+      Enforcer.setSTSForHost(normalized, true, includeSubdomains, duration,
+                             scope, Enforcer.source.MANAGER);
+      if (!Enforcer.storage.enforceHosts[normalized]) {
+        // setSTSForHost() leaves parent enforced hosts untouched.
+        worker.port.emit("error", _("ui.manage.error.not_changed", normalized));
+      }
+
+      this.sendHosts(worker);
+    });
+
+    worker.port.on("toggle", ({ host, includeSubdomains }) => {
+      Enforcer.setSTSForHost(host, true, includeSubdomains, undefined,
+                             undefined, Enforcer.source.MANAGER);
+      this.sendHosts(worker);
+    });
+
+    worker.port.on("remove", ({ host }) => {
+      Enforcer.setSTSForHost(host, false, false, undefined, undefined,
+                             Enforcer.source.MANAGER);
+      this.sendHosts(worker);
+    });
+
+    worker.port.on("discarded-dismiss", () => {
+      Enforcer.clearDiscardedHosts();
+      this.sendHosts(worker);
+    });
+
+    worker.port.on("revert", ({ id }) => {
+      Enforcer.revertChange(id);
+      this.sendHosts(worker);
+    });
+
+    worker.port.on("suggestion-enforce", ({ host }) => {
+      Suggestions.accept(host);
+      this.sendHosts(worker);
+    });
+
+    worker.port.on("suggestion-ignore", ({ host }) => {
+      Suggestions.ignore(host);
+      this.sendSuggestions(worker);
+    });
+
+    worker.port.on("suggestion-unignore", ({ host }) => {
+      Suggestions.unignore(host);
+      this.sendSuggestions(worker);
+    });
+
+    // The parsed entries waiting for the user to confirm the import.
+    let pendingImport = null;
+
+    worker.port.on("export", () => {
+      worker.port.emit("export", HostList.export());
+    });
+
+    worker.port.on("import-preview", ({ text, replace }) => {
+      let parsed;
+      try {
+        parsed = HostList.parse(text);
+      } catch (e) {
+        pendingImport = null;
+        worker.port.emit("error", e.message);
+        return;
+      }
+
+      pendingImport = { entries: parsed.entries, replace };
+
+      let preview = HostList.preview(parsed.entries, replace);
+      preview.invalid = parsed.invalid;
+      worker.port.emit("import-preview", preview);
+    });
+
+    worker.port.on("import-apply", () => {
+      if (pendingImport) {
+        HostList.apply(pendingImport.entries, pendingImport.replace);
+        pendingImport = null;
+      }
+
+      this.sendHosts(worker);
+    });
+
+    worker.port.on("import-cancel", () => {
+      pendingImport = null;
+    });
+
+    // The candidates of the latest history scan.
+    let scanned = [];
+
+    worker.port.on("scan", () => {
+      scanned = HistoryScanner.scan();
+      worker.port.emit("scan", scanned);
+    });
+
+    worker.port.on("scan-enforce", ({ selected }) => {
+      // Only enforce what the scan found; the page decides which candidates
+      // and whether to include subdomains.
+      let candidates = [];
+      for (let { domain, includeSubdomains } of selected) {
+        let candidate = scanned.find(c => c.domain === domain);
+        if (candidate) {
+          candidates.push({
+            domain,
+            hosts: candidate.hosts,
+            includeSubdomains: !!includeSubdomains
+          });
+        }
+      }
+
+      HistoryScanner.enforce(candidates);
+      scanned = HistoryScanner.scan();
+      worker.port.emit("scan", scanned);
+      this.sendHosts(worker);
+    });
+
+    this.sendHosts(worker);
+  },
+
+  /**
+   * Sends the current list of enforced hosts to the given worker.
+   *
+   * @param {Worker} worker
+   *        The worker of the management page.
+   */
+  sendHosts: function (worker) {
+    let hosts = Enforcer.getEnforcedHosts().map(entry => {
+      let remaining = Enforcer.getRemainingTime(entry.host);
+      entry.remaining = remaining === null ?
+        null : Duration.formatRemaining(remaining);
+      entry.redundant = Enforcer.isRedundant(entry.host);
+      return entry;
+    });
+
+    worker.port.emit("hosts", hosts);
+
+    let adminEntries = AdminPolicy.getEntries();
+    worker.port.emit("admin-hosts", Object.keys(adminEntries).sort().map(
+      host => ({ host, includeSubdomains: adminEntries[host].includeSubdomains })));
+    worker.port.emit("repairs", this.getRepairSummary());
+    worker.port.emit("discarded", Object.keys(Enforcer.getDiscardedHosts())
+      .sort().map(host => Hostname.validate(host).error));
+    worker.port.emit("failures", FailureMonitor.getFailures());
+    worker.port.emit("changes", this.getChanges());
+    this.sendSuggestions(worker);
+  },
+
+  /**
+   * Returns the change log with localized descriptions.
+   *
+   * @return {Array} An array of objects with form { id, time, host,
+   *   description, source }.
+   */
+  getChanges: function () {
+    let describe = entry => {
+      if (!entry) {
+        return _("ui.history.state.none");
+      }
+
+      return entry.includeSubdomains ?
+        _("ui.history.state.with_sub") : _("ui.history.state.enforced");
+    };
+
+    let transition = ({ previous, next }) =>
+      describe(previous) + " \u2192 " + describe(next);
+
+    return Enforcer.getChanges().map(change => ({
+      id: change.id,
+      time: change.time,
+      host: change.host,
+      description: change.changes ?
+        change.changes.map(c => c.host + ": " + transition(c)).join("; ") :
+        transition(change),
+      source: _("ui.source." + change.source)
+    }));
+  },
+
+  /**
+   * Returns a description of how often lost state has been restored.
+   *
+   * @return {String|null} The localized description or null if nothing has
+   *   been restored.
+   */
+  getRepairSummary: function () {
+    let { count, last } = StateGuard.getStats();
+    if (count === 0) {
+      return null;
+    }
+
+    return _("ui.manage.repairs", count, new Date(last).toLocaleString());
+  },
+
+  /**
+   * Sends the suggested and ignored hosts to the given worker.
+   *
+   * @param {Worker} worker
+   *        The worker of the management page.
+   */
+  sendSuggestions: function (worker) {
+    worker.port.emit("suggestions", {
+      suggested: Suggestions.getSuggestions(),
+      ignored: Suggestions.getIgnored()
+    });
+  },
+
+  /**
+   * Returns the localized strings of the management page.
+   *
+   * @return {Object} The strings as key-value pairs.
+   */
+  getStrings: function () {
+    let strings = {};
+    for (let key of STRINGS) {
+      strings[key] = _(key);
+    }
+
+    return strings;
+  },
+
+  destroy: function () {
+    SimplePrefs.removeListener("manageHosts", this.open);
+
+    if (this.pageMod) {
+      this.pageMod.destroy();
+      this.pageMod = null;
+    }
+  },
+};
+
+exports.ManagementPage = ManagementPage;
@@ -0,0 +1,161 @@
+const { Ci } = require("chrome");
+const Events = require("sdk/system/events");
+
+/**
+ * Enforces STS by redirecting plain http requests to https before they are
+ * sent. Used when the site security service can't be modified. The state is
+ * kept in memory and restored from the storage on startup like the state of
+ * the site security service.
+ */
+const RedirectBackend = {
+  name: "redirect",
+
+  /**
+   * Redirects can't check the certificates.
+   */
+  supportsPins: false,
+
+  /**
+   * HTTP observers are always available.
+   *
+   * @return {Boolean} True.
+   */
+  isSupported: function () {
+    return true;
+  },
+
+  /**
+   * Starts upgrading the requests.
+   */
+  init: function () {
+    this.onModifyRequest = this.onModifyRequest.bind(this);
+    Events.on("http-on-modify-request", this.onModifyRequest, true);
+  },
+
+  /**
+   * Returns the rules of a browsing context.
+   *
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   * @return {Map} A map from hosts to objects with form { includeSubdomains,
+   *   expires }.
+   */
+  rulesFor: function (flags) {
+    if (!this.rules) {
+      this.rules = new Map();
+    }
+
+    let isPrivate = !!(flags & Ci.nsISocketProvider.NO_PERMANENT_STORAGE);
+    if (!this.rules.has(isPrivate)) {
+      this.rules.set(isPrivate, new Map());
+    }
+
+    return this.rules.get(isPrivate);
+  },
+
+  /**
+   * Starts upgrading the requests to a host.
+   *
+   * @param {nsIURI} uri
+   *        An URI of the host.
+   * @param {Boolean} includeSubdomains
+   *        True to upgrade the requests to subdomains too.
+   * @param {Number} maxAge
+   *        The max-age in seconds.
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   */
+  enableSTS: function (uri, includeSubdomains, maxAge, flags) {
+    this.rulesFor(flags).set(uri.host, {
+      includeSubdomains,
+      expires: Date.now() + maxAge * 1000
+    });
+  },
+
+  /**
+   * Stops upgrading the requests to a host.
+   *
+   * @param {nsIURI} uri
+   *        An URI of the host.
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   */
+  disableSTS: function (uri, flags) {
+    this.rulesFor(flags).delete(uri.host);
+  },
+
+  /**
+   * Checks if the requests to an URI are upgraded. The closest rule of the
+   * host or its ancestors decides like in the site security service.
+   *
+   * @param {nsIURI} uri
+   *        The URI to check.
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   * @return {Boolean} True if the requests are upgraded, false otherwise.
+   */
+  isSTSEnabled: function (uri, flags) {
+    let rules = this.rulesFor(flags);
+    let labels = uri.host.split(".");
+
+    for (let i = 0; i < labels.length; i++) {
+      let rule = rules.get(labels.slice(i).join("."));
+      if (!rule || rule.expires <= Date.now()) {
+        continue;
+      }
+
+      return i === 0 || rule.includeSubdomains;
+    }
+
+    return false;
+  },
+
+  /**
+   * Redirects plain http requests to https if a rule matches.
+   */
+  onModifyRequest: function ({ subject }) {
+    let channel = subject.QueryInterface(Ci.nsIHttpChannel);
+    let uri = channel.URI;
+
+    if (!uri.schemeIs("http")) {
+      return;
+    }
+
+    let isPrivate = channel instanceof Ci.nsIPrivateBrowsingChannel &&
+                    channel.isChannelPrivate;
+    let flags = isPrivate ? Ci.nsISocketProvider.NO_PERMANENT_STORAGE : 0;
+
+    if (this.isSTSEnabled(uri, flags)) {
+      channel.redirectTo(this.getSecureURI(uri));
+    }
+  },
+
+  /**
+   * Returns the https version of the given http URI.
+   *
+   * @param {nsIURI} uri
+   *        The http URI.
+   * @return {nsIURI} The https URI.
+   */
+  getSecureURI: function (uri) {
+    let secure = uri.clone();
+    secure.scheme = "https";
+
+    if (uri.port === 80) {
+      // Use the default port of https instead.
+      secure.port = -1;
+    }
+
+    return secure;
+  },
+
+  destroy: function () {
+    if (this.onModifyRequest) {
+      Events.off("http-on-modify-request", this.onModifyRequest);
+    }
+
+    this.rules = null;
+  },
+};
+
+exports.RedirectBackend = RedirectBackend;
@@ -0,0 +1,144 @@
+const { Cu } = require("chrome");
+const Events = require("sdk/system/events");
+
+const { OS } = Cu.import("resource://gre/modules/osfile.jsm", {});
+
+// The file the site security service stores its permanent state in.
+const STATE_FILE = "SiteSecurityServiceState.txt";
+
+// How long the parsed state is used before it's read again (in ms). The
+// browser also tells when it has written the file.
+const MAX_CACHE_AGE = 60 * 1000;
+
+// The suffix of the keys of STS entries in the state file.
+const HSTS_SUFFIX = ":HSTS";
+
+// The state of an entry the site (or the addon) has set.
+const STATE_SET = 1;
+
+/**
+ * Reads the STS state the site security service has stored in the profile.
+ * Each line of the file has form "key\tscore\tday\tvalue" where the key is
+ * "host:HSTS" and the value "expires,state,includeSubdomains[,...]". Private
+ * windows keep their own state in memory only. The file is read off the main
+ * thread and the parsed entries are cached.
+ */
+const SiteState = {
+  /**
+   * Starts reading the state file.
+   */
+  init: function () {
+    this.entries = {};
+    this.loaded = 0;
+
+    this.onWritten = this.onWritten.bind(this);
+    Events.on("data-storage-written", this.onWritten, true);
+
+    this.load();
+  },
+
+  /**
+   * Reads the state file again after the browser has written it.
+   */
+  onWritten: function ({ data }) {
+    if (!data || data === STATE_FILE) {
+      this.load();
+    }
+  },
+
+  /**
+   * Reads and parses the state file.
+   *
+   * @return {Promise} A promise resolved when the entries have been updated.
+   */
+  load: function () {
+    this.loaded = Date.now();
+
+    let path = OS.Path.join(OS.Constants.Path.profileDir, STATE_FILE);
+    return OS.File.read(path, { encoding: "utf-8" }).then(text => {
+      this.entries = this.parse(text);
+    }, e => {
+      if (!(e instanceof OS.File.Error && e.becauseNoSuchFile)) {
+        console.error("Failed to read the site security state: " + e);
+      }
+
+      this.entries = {};
+    });
+  },
+
+  /**
+   * Parses the STS entries that are set from the state file.
+   *
+   * @param {String} text
+   *        The contents of the state file.
+   * @return {Object} The entries with form { expires, includeSubdomains }
+   *   keyed by the host. Entries for other origin attributes are skipped.
+   */
+  parse: function (text) {
+    let entries = {};
+    for (let line of text.split("\n")) {
+      let [key, , , value] = line.split("\t");
+      if (!key || !value || !key.endsWith(HSTS_SUFFIX)) {
+        continue;
+      }
+
+      let [expires, state, includeSubdomains] = value.split(",").map(Number);
+      if (state !== STATE_SET || !expires) {
+        continue;
+      }
+
+      entries[key.slice(0, -HSTS_SUFFIX.length)] = {
+        expires,
+        includeSubdomains: includeSubdomains === 1
+      };
+    }
+
+    return entries;
+  },
+
+  /**
+   * Returns the stored policy that is in effect for the host. The policy may
+   * come from an ancestor domain that includes subdomains. The answer comes
+   * from the cache, which is refreshed in the background once it gets old.
+   *
+   * @param {String} host
+   *        The host to check.
+   * @return {Object|null} An object with form { source, includeSubdomains,
+   *   expires } where source is the host the policy was set for and expires
+   *   a timestamp in ms, or null if the file has no such policy.
+   */
+  getPolicy: function (host) {
+    if (Date.now() - this.loaded > MAX_CACHE_AGE) {
+      this.load();
+    }
+
+    let entries = this.entries || {};
+    let labels = host.split(".");
+    for (let i = 0; i < labels.length - 1; i++) {
+      let source = labels.slice(i).join(".");
+      let entry = entries[source];
+      if (!entry || (i > 0 && !entry.includeSubdomains) ||
+          entry.expires <= Date.now()) {
+        continue;
+      }
+
+      return {
+        source,
+        includeSubdomains: entry.includeSubdomains,
+        expires: entry.expires
+      };
+    }
+
+    return null;
+  },
+
+  destroy: function () {
+    if (this.onWritten) {
+      Events.off("data-storage-written", this.onWritten);
+    }
+
+    this.entries = {};
+  },
+};
+
+exports.SiteState = SiteState;
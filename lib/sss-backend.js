@@ -0,0 +1,219 @@
+const { Cc, Ci } = require("chrome");
+
+// A host that is pinned for a moment to find out how the site security
+// service reads the expiry of pins.
+const PINS_PROBE_HOST = "enforce-hsts-pins-probe.invalid";
+
+// A well-formed pin for the probe.
+const PINS_PROBE_PIN = "AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=";
+
+/**
+ * Enforces STS by feeding headers to the site security service of the
+ * browser. The state survives restarts and applies to every connection the
+ * browser makes.
+ */
+const SSSBackend = {
+  name: "sss",
+
+  /**
+   * Public key pins are supported.
+   */
+  supportsPins: true,
+
+  /**
+   * Checks if the browser provides the privileged site security service API
+   * this backend depends on.
+   *
+   * @return {Boolean} True if the backend can be used, false otherwise.
+   */
+  isSupported: function () {
+    try {
+      let sss = this.sss;
+      return typeof sss.unsafeProcessHeader === "function" &&
+             typeof sss.removeState === "function" &&
+             this.hstsType !== undefined;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Adds STS state for a host.
+   *
+   * @param {nsIURI} uri
+   *        An URI of the host.
+   * @param {Boolean} includeSubdomains
+   *        True to include subdomains.
+   * @param {Number} maxAge
+   *        The max-age in seconds.
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   */
+  enableSTS: function (uri, includeSubdomains, maxAge, flags) {
+    let value = "max-age=" + maxAge + ";";
+    if (includeSubdomains) {
+      value += "includeSubDomains;";
+    }
+
+    this.sss.unsafeProcessHeader(this.hstsType, uri, value, flags, {}, {});
+  },
+
+  /**
+   * Removes the STS state of a host. The state of preloaded hosts is kept:
+   * removing it would store a knockout entry that turns the preload list off
+   * for the host for good.
+   *
+   * @param {nsIURI} uri
+   *        An URI of the host.
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   * @param {Boolean} preloaded
+   *        True if the host is known to be on the preload list even though
+   *        its own state hides it. Optional.
+   */
+  disableSTS: function (uri, flags, preloaded) {
+    if (preloaded || this.isPreloaded(uri, flags)) {
+      return;
+    }
+
+    this.sss.removeState(this.hstsType, uri, flags);
+  },
+
+  /**
+   * Checks if STS applies to an URI because of the preload list built into
+   * the browser.
+   *
+   * @param {nsIURI} uri
+   *        The URI to check.
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   * @return {Boolean} True if the preload list applies, false if it doesn't
+   *   or the browser doesn't tell where the state comes from.
+   */
+  isPreloaded: function (uri, flags) {
+    let preload = this.sss.SOURCE_PRELOAD_LIST;
+    if (preload === undefined) {
+      return false;
+    }
+
+    let source = {};
+    return this.sss.isSecureURI(this.hstsType, uri, flags, {}, {}, source) &&
+           source.value === preload;
+  },
+
+  /**
+   * Checks if STS is in effect for an URI. This includes the state set by
+   * the sites and the preload list.
+   *
+   * @param {nsIURI} uri
+   *        The URI to check.
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   * @return {Boolean} True if STS applies, false otherwise.
+   */
+  isSTSEnabled: function (uri, flags) {
+    return this.sss.isSecureURI(this.hstsType, uri, flags);
+  },
+
+  /**
+   * Adds public key pins for a host. A Public-Key-Pins header would be
+   * rejected without the certificate of the connection and a backup pin, so
+   * the pins are set directly.
+   *
+   * setKeyPins() has no context flags. Private contexts are told apart by
+   * the origin attributes in the versions that key the state by them. The
+   * older versions ignore the argument, and their pin checks read the same
+   * pins in both contexts.
+   *
+   * @param {nsIURI} uri
+   *        An URI of the host.
+   * @param {Array} pins
+   *        The base64 encoded SHA-256 SPKI hashes to pin.
+   * @param {Boolean} includeSubdomains
+   *        True to include subdomains.
+   * @param {Number} maxAge
+   *        The max-age in seconds.
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   * @throws {Error} If the site security service rejects the pins.
+   */
+  enablePins: function (uri, pins, includeSubdomains, maxAge, flags) {
+    let expiry = this.pinsTakeExpiryTime() ? Date.now() + maxAge * 1000 :
+                                             maxAge;
+    let isPrivate = !!(flags & Ci.nsISocketProvider.NO_PERMANENT_STORAGE);
+    let originAttributes = isPrivate ? { privateBrowsingId: 1 } : {};
+
+    if (!this.sss.setKeyPins(uri.host, includeSubdomains, expiry,
+                             pins.length, pins, false, originAttributes)) {
+      throw new Error("The pins of " + uri.host + " were rejected.");
+    }
+  },
+
+  /**
+   * Checks how setKeyPins() reads the expiry of the pins. The oldest
+   * supported versions take the max-age in seconds while later versions take
+   * the expiry time in ms. A short max-age is set for a throwaway host:
+   * read as a time in ms, it has already passed.
+   *
+   * @return {Boolean} True if the expiry is a time in ms, false if it is
+   *   the max-age in seconds.
+   */
+  pinsTakeExpiryTime: function () {
+    if (this.expiryTime === undefined) {
+      let sss = this.sss;
+      let uri = Cc["@mozilla.org/network/io-service;1"]
+                  .getService(Ci.nsIIOService)
+                  .newURI("https://" + PINS_PROBE_HOST + "/", null, null);
+
+      sss.setKeyPins(PINS_PROBE_HOST, false, 60, 1, [PINS_PROBE_PIN]);
+      this.expiryTime = !sss.isSecureURI(sss.HEADER_HPKP, uri, 0);
+      sss.removeState(sss.HEADER_HPKP, uri, 0);
+    }
+
+    return this.expiryTime;
+  },
+
+  /**
+   * Removes the public key pins of a host.
+   *
+   * @param {nsIURI} uri
+   *        An URI of the host.
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   */
+  disablePins: function (uri, flags) {
+    this.sss.removeState(this.sss.HEADER_HPKP, uri, flags);
+  },
+
+  /**
+   * Checks if keys are pinned for an URI.
+   *
+   * @param {nsIURI} uri
+   *        The URI to check.
+   * @param {Number} flags
+   *        The flags of the browsing context.
+   * @return {Boolean} True if the keys are pinned, false otherwise.
+   */
+  isPinned: function (uri, flags) {
+    return this.sss.isSecureURI(this.sss.HEADER_HPKP, uri, flags);
+  },
+
+  /**
+   * Returns the STS header type constant. It has been called both
+   * HEADER_HSTS and HEADERS_HSTS.
+   */
+  get hstsType () {
+    let sss = this.sss;
+    return sss.HEADER_HSTS !== undefined ? sss.HEADER_HSTS : sss.HEADERS_HSTS;
+  },
+
+  /**
+   * Returns an instance of nsISiteSecurityService.
+   */
+  get sss () {
+    return Cc["@mozilla.org/ssservice;1"]
+             .getService(Ci.nsISiteSecurityService);
+  },
+};
+
+exports.SSSBackend = SSSBackend;
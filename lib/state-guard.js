@@ -0,0 +1,111 @@
+const Events = require("sdk/system/events");
+const SimpleStorage = require("sdk/simple-storage");
+const { setInterval, clearInterval, setTimeout } = require("sdk/timers");
+
+const { Enforcer } = require("./enforcer");
+
+// Notifications sent when the browser wipes data that may include the site
+// security service state.
+const PURGE_TOPICS = [
+  // Forget About This Site.
+  "browser:purge-domain-data",
+
+  // Clear Recent History.
+  "browser:purge-session-history",
+
+  // The last private window was closed.
+  "last-pb-context-exited",
+];
+
+// How often the state is checked for consistency (in ms).
+const CHECK_INTERVAL = 10 * 60 * 1000;
+
+const StateGuard = {
+  /**
+   * Starts watching for data purges and checking the state periodically.
+   */
+  init: function () {
+    this.onPurge = this.onPurge.bind(this);
+
+    for (let topic of PURGE_TOPICS) {
+      Events.on(topic, this.onPurge, true);
+    }
+
+    this.timer = setInterval(() => this.check("periodic"), CHECK_INTERVAL);
+  },
+
+  /**
+   * Checks the state after the browser has purged data.
+   */
+  onPurge: function ({ type }) {
+    // The purge might still be in progress when the notification is sent.
+    setTimeout(() => this.check(type), 0);
+  },
+
+  /**
+   * Restores lost state and records the repair.
+   *
+   * @param {String} trigger
+   *        What caused the check, e.g. the purge notification topic.
+   * @return {Array} The hosts whose state was restored.
+   */
+  check: function (trigger) {
+    let repaired = Enforcer.repairSTS();
+    if (repaired.length > 0) {
+      this.recordRepair(trigger, repaired);
+    }
+
+    return repaired;
+  },
+
+  /**
+   * Updates the repair statistics.
+   *
+   * @param {String} trigger
+   *        What caused the repair.
+   * @param {Array} hosts
+   *        The hosts whose state was restored.
+   */
+  recordRepair: function (trigger, hosts) {
+    let stats = this.getStats();
+    stats.count++;
+    stats.hosts += hosts.length;
+    stats.last = Date.now();
+    stats.triggers[trigger] = (stats.triggers[trigger] || 0) + 1;
+
+    this.storage.repairStats = stats;
+  },
+
+  /**
+   * Returns the repair statistics.
+   *
+   * @return {Object} An object with form { count, hosts, last, triggers }
+   *   where count is the number of repairs, hosts the number of restored
+   *   hosts, last the time of the latest repair in ms (or null) and triggers
+   *   the number of repairs per trigger.
+   */
+  getStats: function () {
+    return this.storage.repairStats ||
+      { count: 0, hosts: 0, last: null, triggers: {} };
+  },
+
+  destroy: function () {
+    for (let topic of PURGE_TOPICS) {
+      Events.off(topic, this.onPurge);
+    }
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  },
+
+  /**
+   * Returns the SimpleStorage object for this addon.
+   */
+  get storage () {
+    return SimpleStorage.storage;
+  },
+};
+
+exports.StateGuard = StateGuard;
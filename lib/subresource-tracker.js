@@ -0,0 +1,162 @@
+const { Ci } = require("chrome");
+const Events = require("sdk/system/events");
+
+const SubresourceTracker = {
+  /**
+   * Starts recording the hosts the tabs load subresources from.
+   */
+  init: function () {
+    this.onModifyRequest = this.onModifyRequest.bind(this);
+
+    // Maps the <browser> elements of the tabs to Maps from hosts to the
+    // schemes they were loaded with. Closed tabs are forgotten with their
+    // browsers.
+    this.hosts = new WeakMap();
+
+    Events.on("http-on-modify-request", this.onModifyRequest, true);
+  },
+
+  /**
+   * Records the host of each request made by a tab.
+   */
+  onModifyRequest: function ({ subject }) {
+    let channel = subject.QueryInterface(Ci.nsIHttpChannel);
+    let browser = this.browserFor(channel);
+    if (!browser) {
+      // Requests of the browser itself and of add-ons.
+      return;
+    }
+
+    this.recordRequest(browser, channel.URI, this.isTopLevel(channel));
+  },
+
+  /**
+   * Records a request made by a tab.
+   *
+   * @param {Object} browser
+   *        The <browser> element of the tab.
+   * @param {nsIURI} uri
+   *        The URI of the request.
+   * @param {Boolean} isTopLevel
+   *        True if the request loads a new page into the tab.
+   */
+  recordRequest: function (browser, uri, isTopLevel) {
+    if (isTopLevel) {
+      // A new page starts with an empty list.
+      this.hosts.set(browser, new Map());
+      return;
+    }
+
+    if (!uri.schemeIs("http") && !uri.schemeIs("https")) {
+      return;
+    }
+
+    let hosts = this.hosts.get(browser);
+    if (!hosts) {
+      hosts = new Map();
+      this.hosts.set(browser, hosts);
+    }
+
+    // A single plain http load is enough to make the host insecure.
+    if (hosts.get(uri.host) !== "http") {
+      hosts.set(uri.host, uri.scheme);
+    }
+  },
+
+  /**
+   * Returns the hosts the page of a tab has loaded subresources from.
+   *
+   * @param {Object} browser
+   *        The <browser> element of the tab.
+   * @return {Array} An array of objects with form { host, scheme } sorted by
+   *   host. The host of the page itself is left out.
+   */
+  getHosts: function (browser) {
+    let hosts = this.hosts.get(browser);
+    if (!hosts) {
+      return [];
+    }
+
+    let pageHost = null;
+    try {
+      pageHost = browser.currentURI.host;
+    } catch (e) {
+      // NS_ERROR_FAILURE, the page has no host.
+    }
+
+    let result = [];
+    for (let [host, scheme] of hosts) {
+      if (host !== pageHost) {
+        result.push({ host, scheme });
+      }
+    }
+
+    return result.sort((a, b) => a.host.localeCompare(b.host));
+  },
+
+  /**
+   * Checks if a request loads a new page into a tab.
+   *
+   * @param {nsIChannel} channel
+   *        The channel of the request.
+   * @return {Boolean} True for top-level document loads, false otherwise.
+   */
+  isTopLevel: function (channel) {
+    let { loadInfo } = channel;
+    if (loadInfo) {
+      return loadInfo.externalContentPolicyType ===
+             Ci.nsIContentPolicy.TYPE_DOCUMENT;
+    }
+
+    return !!(channel.loadFlags & Ci.nsIChannel.LOAD_INITIAL_DOCUMENT_URI);
+  },
+
+  /**
+   * Returns the <browser> element of the tab that made the request.
+   *
+   * @param {nsIChannel} channel
+   *        The channel of the request.
+   * @return {Object|null} The browser or null if the request doesn't come
+   *   from a tab.
+   */
+  browserFor: function (channel) {
+    let loadContext = null;
+    for (let callbacks of [channel.notificationCallbacks,
+                           channel.loadGroup &&
+                             channel.loadGroup.notificationCallbacks]) {
+      try {
+        loadContext = callbacks.getInterface(Ci.nsILoadContext);
+        break;
+      } catch (e) {
+        // No callbacks or no load context, try the load group.
+      }
+    }
+
+    if (!loadContext) {
+      return null;
+    }
+
+    // With multiple processes the browser is known directly.
+    if (loadContext.topFrameElement) {
+      return loadContext.topFrameElement;
+    }
+
+    try {
+      return loadContext.associatedWindow.top
+        .QueryInterface(Ci.nsIInterfaceRequestor)
+        .getInterface(Ci.nsIWebNavigation)
+        .QueryInterface(Ci.nsIDocShell)
+        .chromeEventHandler;
+    } catch (e) {
+      // The window is gone or isn't a content window.
+      return null;
+    }
+  },
+
+  destroy: function () {
+    Events.off("http-on-modify-request", this.onModifyRequest);
+    this.hosts = new WeakMap();
+  },
+};
+
+exports.SubresourceTracker = SubresourceTracker;
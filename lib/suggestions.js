@@ -0,0 +1,265 @@
+const { Ci } = require("chrome");
+const Events = require("sdk/system/events");
+const SimpleStorage = require("sdk/simple-storage");
+const Tabs = require("sdk/tabs");
+const ViewFor = require("sdk/view/core").viewFor;
+const { URL } = require("sdk/url");
+const _ = require("sdk/l10n").get;
+
+const { Enforcer } = require("./enforcer");
+
+// How many HTTPS loads without a STS header it takes to suggest a host.
+const SUGGESTION_THRESHOLD = 3;
+
+// The maximum number of hosts to keep track of. The least recently seen
+// hosts are dropped first.
+const MAX_TRACKED_HOSTS = 500;
+
+const NOTIFICATION_VALUE = "enforce-hsts-suggestion";
+
+const Suggestions = {
+  /**
+   * Starts observing HTTPS responses and page loads.
+   */
+  init: function () {
+    this.onExamineResponse = this.onExamineResponse.bind(this);
+    this.onTabReady = this.onTabReady.bind(this);
+
+    // Hosts that have been suggested with a notification in this session.
+    this.notified = new Set();
+
+    if (!this.storage.suggestions) {
+      this.storage.suggestions = {};
+    }
+
+    if (!this.storage.ignoredSuggestions) {
+      this.storage.ignoredSuggestions = {};
+    }
+
+    Events.on("http-on-examine-response", this.onExamineResponse, true);
+    Tabs.on("ready", this.onTabReady);
+  },
+
+  /**
+   * Records secure top-level responses that lack the STS header.
+   */
+  onExamineResponse: function ({ subject }) {
+    let channel = subject.QueryInterface(Ci.nsIHttpChannel);
+
+    if (!(channel.loadFlags & Ci.nsIChannel.LOAD_DOCUMENT_URI) ||
+        !channel.URI.schemeIs("https")) {
+      return;
+    }
+
+    if (channel instanceof Ci.nsIPrivateBrowsingChannel &&
+        channel.isChannelPrivate) {
+      // Don't leave traces of private browsing.
+      return;
+    }
+
+    if (!this.isSecure(channel)) {
+      return;
+    }
+
+    try {
+      channel.getResponseHeader("Strict-Transport-Security");
+
+      // The site sends the header itself.
+      return;
+    } catch (e) {
+      // NS_ERROR_NOT_AVAILABLE, the header is missing.
+    }
+
+    this.recordVisit(Enforcer.keyFor(channel.URI.asciiHost));
+  },
+
+  /**
+   * Checks if the connection of the channel is secure.
+   *
+   * @param {nsIChannel} channel
+   *        The channel to check.
+   * @return {Boolean} True if the connection is secure, false otherwise.
+   */
+  isSecure: function (channel) {
+    let info = channel.securityInfo;
+    if (!(info instanceof Ci.nsITransportSecurityInfo)) {
+      return false;
+    }
+
+    return (info.securityState & Ci.nsIWebProgressListener.STATE_IS_SECURE) !== 0;
+  },
+
+  /**
+   * Records a secure load of the host without the STS header.
+   *
+   * @param {String} host
+   *        The host that was loaded.
+   */
+  recordVisit: function (host) {
+    if (this.storage.ignoredSuggestions[host]) {
+      return;
+    }
+
+    if (Enforcer.getSTSStatusForHost(host) !== Enforcer.status.NOT_ENFORCED) {
+      delete this.storage.suggestions[host];
+      return;
+    }
+
+    let entry = this.storage.suggestions[host] || { count: 0 };
+    entry.count++;
+    entry.lastSeen = Date.now();
+    this.storage.suggestions[host] = entry;
+
+    this.prune();
+  },
+
+  /**
+   * Drops the least recently seen hosts if too many hosts are tracked.
+   */
+  prune: function () {
+    let hosts = Object.keys(this.storage.suggestions);
+    if (hosts.length <= MAX_TRACKED_HOSTS) {
+      return;
+    }
+
+    hosts.sort((a, b) => this.storage.suggestions[a].lastSeen -
+                         this.storage.suggestions[b].lastSeen);
+
+    for (let host of hosts.slice(0, hosts.length - MAX_TRACKED_HOSTS)) {
+      delete this.storage.suggestions[host];
+    }
+  },
+
+  /**
+   * Checks if the host should be suggested to the user.
+   *
+   * @param {String} host
+   *        The host to check.
+   * @return {Boolean} True if the host is suggested, false otherwise.
+   */
+  isSuggested: function (host) {
+    let entry = this.storage.suggestions[host];
+    return !!entry && entry.count >= SUGGESTION_THRESHOLD &&
+      !this.storage.ignoredSuggestions[host] &&
+      Enforcer.getSTSStatusForHost(host) === Enforcer.status.NOT_ENFORCED;
+  },
+
+  /**
+   * Returns the hosts suggested to the user.
+   *
+   * @return {Array} An array of objects with form { host, count } sorted by
+   *   the number of loads.
+   */
+  getSuggestions: function () {
+    return Object.keys(this.storage.suggestions)
+      .filter(host => this.isSuggested(host))
+      .map(host => ({ host, count: this.storage.suggestions[host].count }))
+      .sort((a, b) => b.count - a.count);
+  },
+
+  /**
+   * Returns the hosts the user does not want suggestions for.
+   *
+   * @return {Array} The ignored hostnames.
+   */
+  getIgnored: function () {
+    return Object.keys(this.storage.ignoredSuggestions).sort();
+  },
+
+  /**
+   * Enforces STS for a suggested host.
+   *
+   * @param {String} host
+   *        The host to enforce.
+   */
+  accept: function (host) {
+    Enforcer.setSTSForHost(host, true, false, undefined, undefined,
+                           Enforcer.source.SUGGESTION);
+    delete this.storage.suggestions[host];
+  },
+
+  /**
+   * Stops suggesting the host.
+   *
+   * @param {String} host
+   *        The host to ignore.
+   */
+  ignore: function (host) {
+    this.storage.ignoredSuggestions[host] = true;
+    delete this.storage.suggestions[host];
+  },
+
+  /**
+   * Removes the host from the ignore list.
+   *
+   * @param {String} host
+   *        The host to stop ignoring.
+   */
+  unignore: function (host) {
+    delete this.storage.ignoredSuggestions[host];
+  },
+
+  /**
+   * Shows the suggestion notification when a suggested host is loaded.
+   */
+  onTabReady: function (tab) {
+    let url = URL(tab.url);
+    if (url.scheme !== "https") {
+      return;
+    }
+
+    let host = Enforcer.keyFor(url.host);
+    if (this.notified.has(host) || !this.isSuggested(host)) {
+      return;
+    }
+
+    this.notified.add(host);
+    this.showNotification(tab, host);
+  },
+
+  /**
+   * Shows a notification bar suggesting to enforce STS for the host.
+   *
+   * @param {Tab} tab
+   *        The tab to show the notification in.
+   * @param {String} host
+   *        The suggested host.
+   */
+  showNotification: function (tab, host) {
+    let xulTab = ViewFor(tab);
+    if (!xulTab) {
+      return;
+    }
+
+    let gBrowser = xulTab.ownerDocument.defaultView.gBrowser;
+    let box = gBrowser.getNotificationBox(xulTab.linkedBrowser);
+
+    box.appendNotification(_("ui.suggest.message", host), NOTIFICATION_VALUE,
+      null, box.PRIORITY_INFO_MEDIUM, [
+        {
+          label: _("ui.suggest.enforce"),
+          accessKey: "",
+          callback: () => this.accept(host)
+        },
+        {
+          label: _("ui.suggest.ignore"),
+          accessKey: "",
+          callback: () => this.ignore(host)
+        },
+      ]);
+  },
+
+  destroy: function () {
+    Events.off("http-on-examine-response", this.onExamineResponse);
+    Tabs.removeListener("ready", this.onTabReady);
+  },
+
+  /**
+   * Returns the SimpleStorage object for this addon.
+   */
+  get storage () {
+    return SimpleStorage.storage;
+  },
+};
+
+exports.Suggestions = Suggestions;
@@ -0,0 +1,286 @@
+const { ToggleButton } = require("sdk/ui/button/toggle");
+const { Panel } = require("sdk/panel");
+const { Hotkey } = require("sdk/hotkeys");
+const Tabs = require("sdk/tabs");
+const Self = require("sdk/self");
+const { URL } = require("sdk/url");
+const _ = require("sdk/l10n").get;
+
+const { Enforcer } = require("./enforcer");
+const { Hostname } = require("./hostname");
+const { AdminPolicy } = require("./admin-policy");
+
+// The keyboard shortcut that opens the panel.
+const HOTKEY = "accel-alt-h";
+
+// The badge shown for each status. Statuses without a badge show none.
+const BADGES = {
+  USER_ENFORCED: { badge: "U", badgeColor: "#058b00" },
+  USER_ENFORCED_WITH_SUBDOMAINS: { badge: "U+", badgeColor: "#058b00" },
+  USER_ENFORCED_PARENT: { badge: "U", badgeColor: "#058b00" },
+  USER_EXCEPTED: { badge: "!", badgeColor: "#d92215" },
+  ADMIN_ENFORCED: { badge: "A", badgeColor: "#058b00" },
+  SITE_ENFORCED: { badge: "S", badgeColor: "#0a84ff" },
+  PRELOADED: { badge: "P", badgeColor: "#0a84ff" },
+};
+
+// The badge shown on every tab while any enforcement is suspended.
+const SUSPENDED_BADGE = { badge: "||", badgeColor: "#ff9400" };
+
+// How long the panel suspends the enforcement of all hosts (in minutes).
+const SUSPEND_ALL_MINUTES = 15;
+
+const ToolbarButton = {
+  /**
+   * Creates the toolbar button, its panel and the keyboard shortcut.
+   */
+  init: function () {
+    this.refreshTab = this.refreshTab.bind(this);
+    this.refreshAll = this.refreshAll.bind(this);
+
+    this.panel = Panel({
+      width: 320,
+      height: 240,
+      contentURL: Self.data.url("panel.html"),
+      contentScriptFile: Self.data.url("panel.js"),
+      contentScriptOptions: {
+        strings: {
+          "ui.checkbox.enforce": _("ui.checkbox.enforce"),
+          "ui.checkbox.include_sub": _("ui.checkbox.include_sub"),
+          "ui.suspend.all_for": _("ui.suspend.all_for",
+            _("ui.remaining.minutes", SUSPEND_ALL_MINUTES)),
+        }
+      },
+      onHide: () => this.button.state("window", { checked: false }),
+    });
+
+    this.panel.port.on("update", ({ enforce, include }) => {
+      let host = this.hostFor(Tabs.activeTab);
+      if (host) {
+        Enforcer.setSTSForHost(host, enforce, include, undefined, undefined,
+                               Enforcer.source.TOOLBAR);
+      }
+
+      this.refreshTab(Tabs.activeTab);
+    });
+
+    this.panel.port.on("suspend-all", suspend => {
+      if (suspend) {
+        Enforcer.suspendAll(SUSPEND_ALL_MINUTES * 60 * 1000);
+      } else {
+        Enforcer.resumeAll();
+      }
+
+      // Nothing changes if every host was already suspended on its own.
+      this.refreshAll();
+    });
+
+    this.button = ToggleButton({
+      id: "enforce-hsts-button",
+      label: _("ui.status.title"),
+      icon: Self.data.url("icon.svg"),
+      onChange: state => {
+        if (state.checked) {
+          this.showPanel();
+        }
+      },
+    });
+
+    this.hotkey = Hotkey({
+      combo: HOTKEY,
+      onPress: () => this.showPanel(),
+    });
+
+    Tabs.on("activate", this.refreshTab);
+    Tabs.on("ready", this.refreshTab);
+
+    // Changes made elsewhere affect the badges of every tab.
+    for (let type of Object.keys(Enforcer.event)) {
+      Enforcer.on(Enforcer.event[type], this.refreshAll);
+    }
+
+    this.refreshAll();
+  },
+
+  /**
+   * Updates the badges of all tabs.
+   */
+  refreshAll: function () {
+    for (let tab of Tabs) {
+      this.refreshTab(tab);
+    }
+  },
+
+  /**
+   * Opens the panel for the active tab.
+   */
+  showPanel: function () {
+    this.refreshTab(Tabs.activeTab);
+    this.panel.show({ position: this.button });
+  },
+
+  /**
+   * Updates the badge of the tab and the panel if the tab is active.
+   *
+   * @param {Tab} tab
+   *        The tab to update.
+   */
+  refreshTab: function (tab) {
+    let host = this.hostFor(tab);
+    let status = host ? Enforcer.getSTSStatusForHost(host) : null;
+
+    let label = host ? this.getStatusMessage(host, status) :
+                       _("ui.status.title");
+    let badge = BADGES[status] || { badge: "", badgeColor: undefined };
+
+    let allSuspended = Enforcer.isAllSuspended();
+    let suspended = Enforcer.getSuspendedHosts().length;
+    let indicator = "";
+    if (allSuspended) {
+      indicator = _("ui.suspend.indicator_all");
+    } else if (suspended > 0) {
+      indicator = _("ui.suspend.indicator", suspended);
+    }
+
+    if (indicator) {
+      // Make sure the user doesn't forget that the enforcement is off.
+      badge = SUSPENDED_BADGE;
+      label += "\n" + indicator;
+    }
+
+    this.button.state(tab, {
+      badge: badge.badge,
+      badgeColor: badge.badgeColor,
+      label
+    });
+
+    if (tab === Tabs.activeTab) {
+      let state = this.getPanelState(host, status);
+      state.suspended = indicator;
+      state.suspendAll = allSuspended;
+      state.canSuspend =
+        Object.keys(Enforcer.storage.enforceHosts).length > 0;
+      this.panel.port.emit("state", state);
+    }
+  },
+
+  /**
+   * Returns the state of the panel controls for the host.
+   *
+   * @param {String|null} host
+   *        The host of the active tab or null if it has none.
+   * @param {String|null} status
+   *        One of Enforcer.status constants.
+   * @return {Object} An object with form { host, message, enforce, include,
+   *   editable }.
+   */
+  getPanelState: function (host, status) {
+    if (!host) {
+      return {
+        host: "",
+        message: _("ui.button.no_host"),
+        enforce: false,
+        include: false,
+        editable: false
+      };
+    }
+
+    let { USER_ENFORCED, USER_ENFORCED_WITH_SUBDOMAINS, SITE_ENFORCED,
+          NOT_ENFORCED } = Enforcer.status;
+
+    let { error } = Hostname.validate(host);
+    if (error) {
+      // Hosts like IP addresses can't be enforced.
+      return { host, message: error, enforce: false, include: false,
+               editable: false };
+    }
+
+    return {
+      host,
+      message: this.getStatusMessage(host, status),
+      enforce: status === USER_ENFORCED ||
+               status === USER_ENFORCED_WITH_SUBDOMAINS,
+      include: status === USER_ENFORCED_WITH_SUBDOMAINS,
+
+      // Parent and exception settings are edited in the identity popup.
+      editable: [USER_ENFORCED, USER_ENFORCED_WITH_SUBDOMAINS, SITE_ENFORCED,
+                 NOT_ENFORCED].indexOf(status) !== -1
+    };
+  },
+
+  /**
+   * Returns the status message for the host.
+   *
+   * @param {String} host
+   *        The host to describe.
+   * @param {String} status
+   *        One of Enforcer.status constants.
+   * @return {String} The localized message.
+   */
+  getStatusMessage: function (host, status) {
+    switch (status) {
+      case Enforcer.status.USER_ENFORCED:
+      case Enforcer.status.USER_ENFORCED_WITH_SUBDOMAINS:
+        return _("ui.status.user_enforced");
+
+      case Enforcer.status.USER_ENFORCED_PARENT:
+        return _("ui.status.user_enforced_parent",
+                 Enforcer.getEnforcingParentHost(host));
+
+      case Enforcer.status.USER_EXCEPTED:
+        return _("ui.status.user_excepted",
+                 Enforcer.getEnforcingParentHost(host));
+
+      case Enforcer.status.SITE_ENFORCED:
+        return _("ui.status.site_enforced");
+
+      case Enforcer.status.PRELOADED:
+        return _("ui.status.preloaded");
+
+      case Enforcer.status.ADMIN_ENFORCED: {
+        // The status already tells that the policy covers the host; the
+        // entry is only looked up to name the parent.
+        let admin = AdminPolicy.getEnforcingHost(host);
+        return admin === host ? _("ui.status.admin_enforced") :
+          _("ui.status.admin_enforced_parent", admin);
+      }
+    }
+
+    return _("ui.status.not_enforced");
+  },
+
+  /**
+   * Returns the host of the tab in the form the Enforcer stores it.
+   *
+   * @param {Tab} tab
+   *        The tab.
+   * @return {String|null} The host or null if the tab doesn't show a http or
+   *   https page.
+   */
+  hostFor: function (tab) {
+    let url = URL(tab.url);
+    if (url.scheme !== "http" && url.scheme !== "https") {
+      return null;
+    }
+
+    return Enforcer.keyFor(url.host);
+  },
+
+  destroy: function () {
+    for (let type of Object.keys(Enforcer.event)) {
+      Enforcer.removeListener(Enforcer.event[type], this.refreshAll);
+    }
+
+    Tabs.removeListener("activate", this.refreshTab);
+    Tabs.removeListener("ready", this.refreshTab);
+
+    for (let key of ["hotkey", "panel", "button"]) {
+      if (this[key]) {
+        this[key].destroy();
+        this[key] = null;
+      }
+    }
+  },
+};
+
+exports.ToolbarButton = ToolbarButton;
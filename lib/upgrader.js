@@ -0,0 +1,49 @@
+const { Ci } = require("chrome");
+const Events = require("sdk/system/events");
+
+const { Enforcer } = require("./enforcer");
+const { RedirectBackend } = require("./redirect-backend");
+
+const Upgrader = {
+  /**
+   * Starts upgrading the requests the site security service doesn't cover.
+   */
+  init: function () {
+    this.onModifyRequest = this.onModifyRequest.bind(this);
+    Events.on("http-on-modify-request", this.onModifyRequest, true);
+  },
+
+  /**
+   * Redirects plain http requests to https if the Enforcer requires it.
+   */
+  onModifyRequest: function ({ subject }) {
+    let channel = subject.QueryInterface(Ci.nsIHttpChannel);
+    let uri = channel.URI;
+
+    let isPrivate = channel instanceof Ci.nsIPrivateBrowsingChannel &&
+                    channel.isChannelPrivate;
+
+    if (!uri.schemeIs("http") || !Enforcer.needsUpgrade(uri.host, isPrivate)) {
+      return;
+    }
+
+    channel.redirectTo(this.getSecureURI(uri));
+  },
+
+  /**
+   * Returns the https version of the given http URI.
+   *
+   * @param {nsIURI} uri
+   *        The http URI.
+   * @return {nsIURI} The https URI.
+   */
+  getSecureURI: function (uri) {
+    return RedirectBackend.getSecureURI(uri);
+  },
+
+  destroy: function () {
+    Events.off("http-on-modify-request", this.onModifyRequest);
+  },
+};
+
+exports.Upgrader = Upgrader;
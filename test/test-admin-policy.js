@@ -0,0 +1,72 @@
+const { AdminPolicy } = require("../lib/admin-policy");
+const { Enforcer } = require("../lib/enforcer");
+
+/**
+ * Tests that parse() reads valid hosts and skips invalid ones.
+ */
+exports["test parse()"] = function (assert) {
+  let entries = AdminPolicy.parse(JSON.stringify({
+    hosts: {
+      "Admin.Test": { includeSubdomains: true },
+      "plain.admin.test": {},
+      "not a host": {},
+    }
+  }));
+
+  assert.deepEqual(entries, {
+    "admin.test": { includeSubdomains: true, scope: "both" },
+    "plain.admin.test": { includeSubdomains: false, scope: "both" },
+  }, "Valid hosts were read.");
+
+  assert.throws(() => AdminPolicy.parse("{}"), /no hosts/,
+    "Policy without hosts was rejected.");
+  assert.throws(() => AdminPolicy.parse("{"), SyntaxError,
+    "Invalid JSON was rejected.");
+};
+
+/**
+ * Tests that policy hosts get the ADMIN_ENFORCED status and can't be changed
+ * by the user.
+ */
+exports["test ADMIN_ENFORCED status"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  AdminPolicy.entries = AdminPolicy.parse(JSON.stringify({
+    hosts: {
+      "admin.test": { includeSubdomains: true },
+      "nosub.test": {},
+    }
+  }));
+
+  try {
+    Enforcer.ensureAdminSTS();
+
+    assert.equal(Enforcer.getSTSStatusForHost("admin.test"),
+      Enforcer.status.ADMIN_ENFORCED, "Policy host is ADMIN_ENFORCED.");
+    assert.equal(Enforcer.getSTSStatusForHost("www.admin.test"),
+      Enforcer.status.ADMIN_ENFORCED, "Subdomain is ADMIN_ENFORCED.");
+    assert.notEqual(Enforcer.getSTSStatusForHost("www.nosub.test"),
+      Enforcer.status.ADMIN_ENFORCED, "Subdomain is not covered.");
+
+    Enforcer.setSTSForHost("admin.test", false, false);
+    assert.equal(Enforcer.getSTSStatusForHost("admin.test"),
+      Enforcer.status.ADMIN_ENFORCED, "User can't remove the policy host.");
+
+    // A user entry for the same host, e.g. one added before the policy, can
+    // be removed without affecting the policy.
+    Enforcer.applyEntry("nosub.test", Enforcer.createEntry("nosub.test", false));
+    Enforcer.setSTSForHost("nosub.test", false, false);
+    assert.ok(!Enforcer.storage.enforceHosts["nosub.test"],
+      "User entry was removed.");
+    assert.ok(Enforcer.isEntryApplied("nosub.test",
+      AdminPolicy.getEntries()["nosub.test"]),
+      "Policy state survived the removal of the user entry.");
+    assert.ok(!Enforcer.storage.enforceHosts["admin.test"],
+      "Policy hosts are not stored with the user's hosts.");
+  } finally {
+    AdminPolicy.entries = {};
+    Enforcer.disableSTSForHost("admin.test");
+    Enforcer.disableSTSForHost("nosub.test");
+  }
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,78 @@
+const _ = require("sdk/l10n").get;
+
+const { Commands } = require("../lib/commands");
+const { Enforcer } = require("../lib/enforcer");
+
+/**
+ * Tests that formatTable() aligns the columns.
+ */
+exports["test formatTable()"] = function (assert) {
+  let table = Commands.formatTable([
+    ["Host", "Status"],
+    ["example.com", "USER_ENFORCED"],
+    ["a.test", "NOT_ENFORCED"],
+  ]);
+
+  assert.equal(table, [
+    "Host         Status",
+    "-----------  -------------",
+    "example.com  USER_ENFORCED",
+    "a.test       NOT_ENFORCED",
+  ].join("\n"), "Columns were aligned.");
+};
+
+/**
+ * Tests that the commands change the enforcement and report the status.
+ */
+exports["test enforce and remove"] = function (assert) {
+  let output = Commands.enforce("Command.TEST", true);
+  assert.ok(Enforcer.storage.enforceHosts["command.test"].includeSubdomains,
+    "Host was enforced with subdomains.");
+  assert.equal(Enforcer.storage.enforceHosts["command.test"].source,
+    Enforcer.source.COMMAND, "Command line was recorded as the source.");
+  assert.ok(output.includes(_("cli.status.USER_ENFORCED_WITH_SUBDOMAINS")),
+    "New status was shown.");
+
+  output = Commands.status("sub.command.test");
+  assert.ok(output.includes(_("cli.status.USER_ENFORCED_PARENT")),
+    "Status of the subdomain was shown.");
+  assert.ok(output.endsWith("  command.test"),
+    "Enforcing parent was shown.");
+
+  // Hosts under an enforced parent are left untouched.
+  Commands.enforce("sub.command.test", false);
+  assert.ok(!Enforcer.storage.enforceHosts["sub.command.test"],
+    "Subdomain of an enforced host was not stored.");
+  Commands.remove("command.test");
+
+  // The parent is listed when the subdomain was enforced first.
+  Commands.enforce("sub.command.test", false);
+  Commands.enforce("command.test", true);
+  let lines = Commands.list().split("\n");
+  assert.ok(lines.some(line => /^command\.test .* {2}-$/.test(line)),
+    "Host was listed without a parent.");
+  assert.ok(lines.some(line =>
+    /^sub\.command\.test .* {2}command\.test$/.test(line)),
+    "Enforcing parent was listed.");
+  Commands.remove("sub.command.test");
+
+  Commands.remove("command.test");
+  assert.ok(!Enforcer.storage.enforceHosts["command.test"],
+    "Host was removed.");
+  assert.ok(Commands.status("command.test")
+    .includes(_("cli.status.NOT_ENFORCED")), "Status was updated.");
+};
+
+/**
+ * Tests that invalid hosts are rejected without changes.
+ */
+exports["test invalid host"] = function (assert) {
+  let before = Enforcer.getEnforcedHosts().length;
+
+  assert.ok(Commands.enforce("192.168.0.1", false),
+    "Reason was returned.");
+  assert.equal(Enforcer.getEnforcedHosts().length, before,
+    "Nothing was enforced.");
+};
+
+require("sdk/test").run(exports);
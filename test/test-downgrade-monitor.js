@@ -0,0 +1,199 @@
+const { setTimeout } = require("sdk/timers");
+
+const { DowngradeMonitor } = require("../lib/downgrade-monitor");
+const { Enforcer } = require("../lib/enforcer");
+
+/**
+ * Creates a fake response for onExamineResponse().
+ *
+ * @param {String} spec
+ *        The URL of the response.
+ * @param {String|null} header
+ *        The Strict-Transport-Security header or null if it's missing.
+ * @param {Number} loadFlags
+ *        The load flags of the channel.
+ * @return {Object} The notification data with the fake channel as subject.
+ */
+function fakeResponse(spec, header, loadFlags) {
+  let channel = {
+    URI: Enforcer.getURI(spec),
+    loadFlags,
+    getResponseHeader: () => {
+      if (header === null) {
+        throw new Error("NS_ERROR_NOT_AVAILABLE");
+      }
+
+      return header;
+    }
+  };
+
+  return { subject: { QueryInterface: () => channel } };
+}
+
+/**
+ * Tests that parseHeader() understands valid headers and rejects invalid ones.
+ */
+exports["test parseHeader()"] = function (assert) {
+  assert.deepEqual(DowngradeMonitor.parseHeader("max-age=300"),
+    { maxAge: 300, includeSubdomains: false }, "Simple header was parsed.");
+  assert.deepEqual(
+    DowngradeMonitor.parseHeader("Max-Age=\"600\"; includeSubDomains; preload"),
+    { maxAge: 600, includeSubdomains: true },
+    "Quoted max-age and includeSubDomains were parsed.");
+  assert.equal(DowngradeMonitor.parseHeader("includeSubDomains"), null,
+    "Header without max-age was rejected.");
+  assert.equal(DowngradeMonitor.parseHeader("max-age=abc"), null,
+    "Invalid max-age was rejected.");
+};
+
+/**
+ * Tests that checkHeader() detects removed and shortened policies.
+ */
+exports["test checkHeader()"] = function (assert) {
+  DowngradeMonitor.storage.siteHeaders = {};
+  const { REMOVED, SHORTENED } = DowngradeMonitor.downgrade;
+
+  assert.equal(DowngradeMonitor.checkHeader("a.test", "max-age=1000"), null,
+    "First header is not a downgrade.");
+  assert.equal(DowngradeMonitor.checkHeader("a.test", "max-age=2000"), null,
+    "Longer max-age is not a downgrade.");
+  assert.equal(DowngradeMonitor.checkHeader("a.test", "max-age=10").kind,
+    SHORTENED, "Shorter max-age was detected.");
+  assert.equal(DowngradeMonitor.checkHeader("a.test", "max-age=0").kind,
+    REMOVED, "max-age=0 was detected.");
+  assert.equal(DowngradeMonitor.checkHeader("a.test", null), null,
+    "Missing header after removal is not a new downgrade.");
+
+  DowngradeMonitor.checkHeader("b.test", "max-age=1000; includeSubDomains");
+  let downgrade = DowngradeMonitor.checkHeader("b.test", "max-age=1000");
+  assert.equal(downgrade.kind, SHORTENED,
+    "Dropped includeSubDomains was detected.");
+  assert.ok(downgrade.previous.includeSubdomains,
+    "The previous policy was returned.");
+
+  assert.equal(DowngradeMonitor.checkHeader("b.test", null), null,
+    "Missing header is not a downgrade while the policy is in effect.");
+  assert.ok(DowngradeMonitor.storage.siteHeaders["b.test"],
+    "Missing header kept the policy.");
+
+  DowngradeMonitor.storage.siteHeaders["b.test"].lastSeen =
+    Date.now() - 1001 * 1000;
+  assert.equal(DowngradeMonitor.checkHeader("b.test", null).kind, REMOVED,
+    "Missing header after the policy expired was detected.");
+  assert.ok(!DowngradeMonitor.storage.siteHeaders["b.test"],
+    "Expired policy was forgotten.");
+};
+
+/**
+ * Tests that getSitePolicy() finds the policy of the host or an ancestor in
+ * both contexts.
+ */
+exports["test getSitePolicy()"] = function (assert) {
+  DowngradeMonitor.storage.siteHeaders = {};
+  DowngradeMonitor.privateHeaders = new Map();
+
+  let before = Date.now();
+  DowngradeMonitor.checkHeader("policy.test", "max-age=1000; includeSubDomains");
+  DowngradeMonitor.checkHeader("nosub.test", "max-age=500");
+
+  let policy = DowngradeMonitor.getSitePolicy("www.policy.test", false);
+  assert.equal(policy.source, "policy.test", "Ancestor policy was found.");
+  assert.equal(policy.maxAge, 1000, "max-age was returned.");
+  assert.ok(policy.includeSubdomains, "includeSubDomains was returned.");
+  assert.ok(policy.expires >= before + 1000 * 1000, "Expiry was computed.");
+
+  assert.equal(DowngradeMonitor.getSitePolicy("www.nosub.test", false), null,
+    "Ancestor without includeSubDomains doesn't apply.");
+
+  DowngradeMonitor.recordPrivateHeader("nosub.test", "max-age=100");
+  assert.equal(DowngradeMonitor.getSitePolicy("nosub.test", true).maxAge, 100,
+    "Private policy overrides the normal one in private contexts.");
+  assert.equal(DowngradeMonitor.getSitePolicy("nosub.test", false).maxAge, 500,
+    "Private policy is not used in normal contexts.");
+  assert.equal(DowngradeMonitor.storage.siteHeaders["nosub.test"].maxAge,
+    500, "Private policy was not stored.");
+
+  DowngradeMonitor.storage.siteHeaders["old.test"] = {
+    maxAge: 10, includeSubdomains: false, lastSeen: before - 20 * 1000
+  };
+  assert.equal(DowngradeMonitor.getSitePolicy("old.test", false), null,
+    "Expired policy was ignored.");
+
+  DowngradeMonitor.onPrivateExit();
+  assert.equal(DowngradeMonitor.getSitePolicy("nosub.test", true).maxAge, 500,
+    "Private policies were forgotten.");
+};
+
+/**
+ * Tests that the least recently seen site policies are dropped.
+ */
+exports["test prune()"] = function (assert) {
+  DowngradeMonitor.storage.siteHeaders = {};
+  for (let i = 0; i < 500; i++) {
+    DowngradeMonitor.storage.siteHeaders["host" + i + ".test"] = {
+      maxAge: 1000, includeSubdomains: false, lastSeen: i
+    };
+  }
+
+  DowngradeMonitor.checkHeader("new.test", "max-age=1000");
+
+  let hosts = Object.keys(DowngradeMonitor.storage.siteHeaders);
+  assert.equal(hosts.length, 500, "The number of policies was capped.");
+  assert.ok(!DowngradeMonitor.storage.siteHeaders["host0.test"],
+    "The oldest policy was dropped.");
+  assert.ok(DowngradeMonitor.storage.siteHeaders["new.test"],
+    "The new policy was kept.");
+
+  DowngradeMonitor.storage.siteHeaders = {};
+};
+
+/**
+ * Tests that the user enforcement is restored after a subresource response
+ * tries to remove it.
+ */
+exports["test subresource header restores enforcement"] = function (assert,
+                                                                     done) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.setSTSForHost("subresource.test", true, false);
+
+  let restored = [];
+  let original = Enforcer.enableEntry;
+  Enforcer.enableEntry = function (host) {
+    restored.push(host);
+    return original.apply(this, arguments);
+  };
+
+  let changes = [];
+  let onChanged = ({ host }) => changes.push(host);
+  Enforcer.on(Enforcer.event.CHANGED, onChanged);
+
+  // The first header removes the state, the second leaves it in place.
+  DowngradeMonitor.onExamineResponse(
+    fakeResponse("https://subresource.test/api", "max-age=0", 0));
+  Enforcer.disableSTSForHost("subresource.test");
+
+  setTimeout(() => {
+    DowngradeMonitor.onExamineResponse(
+      fakeResponse("https://subresource.test/api", "max-age=0", 0));
+  }, 10);
+
+  setTimeout(() => {
+    Enforcer.enableEntry = original;
+    Enforcer.removeListener(Enforcer.event.CHANGED, onChanged);
+
+    assert.deepEqual(restored, ["subresource.test"],
+      "Enforcement was restored only when it was lost.");
+    assert.ok(Enforcer.isEntryApplied("subresource.test",
+      Enforcer.storage.enforceHosts["subresource.test"]),
+      "The state is in place.");
+    assert.deepEqual(changes, [], "The restore was not notified.");
+    assert.ok(!(DowngradeMonitor.storage.siteHeaders || {})["subresource.test"],
+      "Policy of a subresource was not checked for downgrades.");
+
+    Enforcer.setSTSForHost("subresource.test", false, false);
+    done();
+  }, 30);
+};
+
+// Run everything.
+require("sdk/test").run(exports);
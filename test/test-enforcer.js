@@ -199,6 +199,95 @@ exports["test setSTSForHost()"] = function (assert) {
   }
 };
 
+/**
+ * Tests that a site enforced host can be enforced by the user too.
+ */
+exports["test setSTSForHost() site enforced"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.enableSTSForHost("siteset.test", false);
+  assert.equal(Enforcer.getSTSStatusForHost("siteset.test"),
+    Enforcer.status.SITE_ENFORCED, "The host is site enforced.");
+
+  Enforcer.setSTSForHost("siteset.test", true, true);
+  assert.equal(Enforcer.getSTSStatusForHost("siteset.test"),
+    Enforcer.status.USER_ENFORCED_WITH_SUBDOMAINS,
+    "The host is user enforced.");
+  assertIsSecureUri(assert, "siteset.test", true, true);
+};
+
+/**
+ * Tests that removing a host the user hasn't enforced keeps the state the
+ * site has set for itself.
+ */
+exports["test setSTSForHost() site enforced remove"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.enableSTSForHost("siteremove.test", false);
+
+  Enforcer.setSTSForHost("siteremove.test", false, false);
+  assert.equal(Enforcer.getSTSStatusForHost("siteremove.test"),
+    Enforcer.status.SITE_ENFORCED, "The host is still site enforced.");
+  assertIsSecureUri(assert, "siteremove.test", true, false);
+
+  Enforcer.disableSTSForHost("siteremove.test");
+};
+
+/**
+ * Tests that repairSTS() restores lost state only.
+ */
+exports["test repairSTS()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.setSTSForHost("repair.test", true, true);
+  Enforcer.setSTSForHost("intact.test", true, false);
+
+  assert.deepEqual(Enforcer.repairSTS(), [], "Nothing to repair.");
+
+  // Simulate a purge of the private context only.
+  let uri = Enforcer.getURI("repair.test");
+  sss.removeState(sss.HEADER_HSTS, uri,
+    Ci.nsISocketProvider.NO_PERMANENT_STORAGE);
+  assert.ok(!Enforcer.isEntryApplied("repair.test",
+    Enforcer.storage.enforceHosts["repair.test"]), "Lost state was detected.");
+
+  assert.deepEqual(Enforcer.repairSTS(), ["repair.test"],
+    "Lost state was repaired.");
+  assertIsSecureUri(assert, "repair.test", true, true);
+};
+
+/**
+ * Tests that subdomains can be exempted from the enforcement of a parent.
+ */
+exports["test setExceptionForHost()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.setSTSForHost("except.test", true, true);
+
+  Enforcer.setExceptionForHost("legacy.except.test", true);
+  assert.deepEqual(Enforcer.storage.enforceHosts["except.test"].exceptions,
+    ["legacy.except.test"], "The exception was stored.");
+  assert.equal(Enforcer.getSTSStatusForHost("legacy.except.test"),
+    Enforcer.status.USER_EXCEPTED, "The subdomain is exempted.");
+  assert.equal(Enforcer.getSTSStatusForHost("a.legacy.except.test"),
+    Enforcer.status.USER_EXCEPTED, "The exception covers its subdomains.");
+  assert.equal(Enforcer.getSTSStatusForHost("other.except.test"),
+    Enforcer.status.USER_ENFORCED_PARENT, "Other subdomains are enforced.");
+
+  // The site security service can't exempt subdomains so requests are
+  // upgraded instead.
+  assertIsSecureUri(assert, "except.test", true, false);
+  assert.ok(Enforcer.needsUpgrade("other.except.test"),
+    "Other subdomains are upgraded.");
+  assert.ok(!Enforcer.needsUpgrade("legacy.except.test"),
+    "The exempted subdomain is not upgraded.");
+  assert.ok(!Enforcer.needsUpgrade("except.test"),
+    "The parent is not upgraded.");
+
+  Enforcer.setExceptionForHost("legacy.except.test", false);
+  assert.equal(Enforcer.getSTSStatusForHost("legacy.except.test"),
+    Enforcer.status.USER_ENFORCED_PARENT, "The exception was removed.");
+  assertIsSecureUri(assert, "except.test", true, true);
+  assert.ok(!Enforcer.needsUpgrade("other.except.test"),
+    "Subdomains are covered by the site security service again.");
+};
+
 /**
  * Test that the parent domain causing STS to be enforced is correctly
  * detected.
@@ -218,5 +307,611 @@ exports["test parent domain sts"] = function (assert) {
     "parent.test", "getEnforcingParentHost() returned correct host.");
 };
 
+/**
+ * Tests that getEnforcedHosts() lists the user enforced hosts.
+ */
+exports["test getEnforcedHosts()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {
+    "listtest.com": { includeSubdomains: false },
+    "sublisttest.com": { includeSubdomains: true }
+  };
+
+  assert.deepEqual(Enforcer.getEnforcedHosts(), [
+    { host: "listtest.com", includeSubdomains: false, duration: 0,
+      expires: null, scope: "both", pins: null, exceptions: [], added: null,
+      modified: null, source: "unknown", note: "" },
+    { host: "sublisttest.com", includeSubdomains: true, duration: 0,
+      expires: null, scope: "both", pins: null, exceptions: [], added: null,
+      modified: null, source: "unknown", note: "" },
+  ], "All enforced hosts were listed.");
+};
+
+/**
+ * Tests that migrate() runs the migrations from the stored schema version.
+ */
+exports["test migrate()"] = function (assert) {
+  // The original format without a schema version.
+  Enforcer.storage.schemaVersion = undefined;
+  Enforcer.storage.enforceHosts = { "oldformat.test": true };
+  Enforcer.migrate();
+
+  assert.deepEqual(Enforcer.storage.enforceHosts["oldformat.test"], {
+    includeSubdomains: true, added: null, modified: null, source: "unknown",
+    note: ""
+  }, "The boolean entry was migrated to the current format.");
+  assert.equal(Enforcer.storage.schemaVersion, 3, "Version was updated.");
+
+  // Entries without metadata.
+  Enforcer.storage.schemaVersion = 1;
+  Enforcer.storage.enforceHosts = {
+    "nometadata.test": { includeSubdomains: false, note: "Kept" }
+  };
+  Enforcer.migrate();
+
+  let entry = Enforcer.storage.enforceHosts["nometadata.test"];
+  assert.equal(entry.includeSubdomains, false, "Settings were kept.");
+  assert.equal(entry.source, "unknown", "Source was added.");
+  assert.equal(entry.note, "Kept", "Existing note was kept.");
+
+  // Storage written by a newer version is left alone.
+  Enforcer.storage.schemaVersion = 99;
+  Enforcer.storage.enforceHosts = { "future.test": { future: true } };
+  Enforcer.migrate();
+  assert.deepEqual(Enforcer.storage.enforceHosts["future.test"],
+    { future: true }, "Newer format was not touched.");
+
+  // Keys that are not normalized.
+  Enforcer.storage.schemaVersion = 2;
+  Enforcer.storage.enforceHosts = {
+    "Dupe.test.": { includeSubdomains: false, added: 10, note: "Upper" },
+    "dupe.test": { includeSubdomains: true, added: 20, note: "" },
+    "127.0.0.1": { includeSubdomains: false },
+    "com": { includeSubdomains: true },
+  };
+
+  let cleared = [];
+  let original = Enforcer.disableSTSForHost;
+  Enforcer.disableSTSForHost = host => cleared.push(host);
+  try {
+    Enforcer.migrate();
+  } finally {
+    Enforcer.disableSTSForHost = original;
+  }
+
+  assert.deepEqual(cleared.sort(), ["127.0.0.1", "Dupe.test.", "com"],
+    "The state of dropped and renamed keys was cleared.");
+  assert.deepEqual(Object.keys(Enforcer.storage.enforceHosts), ["dupe.test"],
+    "Invalid hosts were removed and duplicates merged.");
+  assert.deepEqual(Enforcer.getDiscardedHosts(), {
+    "127.0.0.1": { includeSubdomains: false },
+    "com": { includeSubdomains: true },
+  }, "Invalid hosts were kept aside.");
+  entry = Enforcer.storage.enforceHosts["dupe.test"];
+  assert.ok(entry.includeSubdomains, "The broader settings were kept.");
+  assert.equal(entry.added, 10, "The older time of addition was kept.");
+  assert.equal(entry.note, "Upper", "Notes were merged.");
+
+  Enforcer.clearDiscardedHosts();
+  assert.deepEqual(Enforcer.getDiscardedHosts(), {},
+    "Discarded hosts were forgotten.");
+
+  Enforcer.storage.schemaVersion = 3;
+  Enforcer.storage.enforceHosts = {};
+};
+
+/**
+ * Tests that entries keep track of when and how they were added.
+ */
+exports["test entry metadata"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+
+  let before = Date.now();
+  Enforcer.setSTSForHost("metadata.test", true, false, undefined, undefined,
+                         Enforcer.source.POPUP);
+  let entry = Enforcer.storage.enforceHosts["metadata.test"];
+  assert.ok(entry.added >= before, "Time of addition was stored.");
+  assert.equal(entry.modified, entry.added, "New entry is not modified.");
+  assert.equal(entry.source, "popup", "Source was stored.");
+  assert.equal(entry.note, "", "Entry has no note.");
+
+  Enforcer.setNoteForHost("metadata.test", "  Intranet  ");
+  Enforcer.setSTSForHost("metadata.test", true, true, undefined, undefined,
+                         Enforcer.source.MANAGER);
+  entry = Enforcer.storage.enforceHosts["metadata.test"];
+  assert.ok(entry.added >= before, "Time of addition was kept.");
+  assert.ok(entry.modified >= entry.added, "Time of change was stored.");
+  assert.equal(entry.source, "popup", "Original source was kept.");
+  assert.equal(entry.note, "Intranet", "Note was kept.");
+
+  Enforcer.setSTSForHost("metadata.test", false, false);
+};
+
+/**
+ * Tests that time-limited enforcement stores the expiry time and applies a
+ * matching max-age.
+ */
+exports["test time-limited setSTSForHost()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+
+  let before = Date.now();
+  Enforcer.setSTSForHost("timed.test", true, false, 3600);
+  let entry = Enforcer.storage.enforceHosts["timed.test"];
+
+  assert.equal(entry.duration, 3600, "Duration was stored.");
+  assert.ok(entry.expires >= before + 3600 * 1000, "Expiry time was stored.");
+  assert.ok(Enforcer.getMaxAge(entry) <= 3600, "max-age follows the expiry.");
+  assert.ok(Enforcer.getRemainingTime("timed.test") <= 3600 * 1000,
+    "Remaining time is correct.");
+  assertIsSecureUri(assert, "timed.test", true, false);
+
+  // Toggling subdomains keeps the old expiry time.
+  Enforcer.setSTSForHost("timed.test", true, true);
+  assert.equal(Enforcer.storage.enforceHosts["timed.test"].expires,
+    entry.expires, "Expiry time was kept.");
+
+  // Forever has no expiry.
+  Enforcer.setSTSForHost("timed.test", true, true, 0);
+  assert.equal(Enforcer.getRemainingTime("timed.test"), null,
+    "Forever enforcement has no remaining time.");
+};
+
+/**
+ * Tests that removeExpired() removes the expired entries only.
+ */
+exports["test removeExpired()"] = function (assert) {
+  Enforcer.enableSTSForHost("expired.test", false);
+  Enforcer.storage.enforceHosts = {
+    "expired.test": { includeSubdomains: false, duration: 60,
+                      expires: Date.now() - 1000 },
+    "valid.test": { includeSubdomains: false, duration: 60,
+                    expires: Date.now() + 60000 },
+    "forever.test": { includeSubdomains: false },
+  };
+
+  Enforcer.removeExpired();
+  assert.deepEqual(Object.keys(Enforcer.storage.enforceHosts).sort(),
+    ["forever.test", "valid.test"], "Only the expired entry was removed.");
+  assertIsSecureUri(assert, "expired.test", false, false);
+};
+
+/**
+ * Tests that setPinsForHost() stores and applies the pins.
+ */
+exports["test setPinsForHost()"] = function (assert) {
+  const pins = [
+    "AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=",
+    "BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB=",
+  ];
+
+  Enforcer.storage.enforceHosts = {};
+
+  // Pins require an user enforced host.
+  Enforcer.setPinsForHost("pin.test", pins);
+  assert.equal(Enforcer.getPinStatusForHost("pin.test"),
+    Enforcer.pinStatus.NOT_PINNED, "Pins were not set for unenforced host.");
+
+  Enforcer.setSTSForHost("pin.test", true, false);
+  assert.ok(Enforcer.setPinsForHost("pin.test", pins), "Pins were applied.");
+  assert.equal(Enforcer.getPinStatusForHost("pin.test"),
+    Enforcer.pinStatus.USER_PINNED, "Pins were set.");
+  assert.deepEqual(Enforcer.storage.enforceHosts["pin.test"].pins, pins,
+    "Pins were stored.");
+  let uri = Enforcer.getURI("pin.test");
+  assert.ok(sss.isSecureURI(sss.HEADER_HPKP, uri, 0),
+    "Pins were applied for public contexts.");
+  assert.ok(sss.isSecureURI(sss.HEADER_HPKP, uri,
+    Ci.nsISocketProvider.NO_PERMANENT_STORAGE),
+    "Pins were applied for private contexts.");
+
+  // Removing the enforcement removes the pins too.
+  Enforcer.setSTSForHost("pin.test", false, false);
+  assert.ok(!sss.isSecureURI(sss.HEADER_HPKP, uri, 0),
+    "Pins were removed with the enforcement.");
+};
+
+/**
+ * Tests that pins the site security service rejects are reported and not
+ * stored.
+ */
+exports["test setPinsForHost() rejected"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.setSTSForHost("rejectpin.test", true, false);
+
+  let backend = Enforcer.backend;
+  let original = backend.enablePins;
+  backend.enablePins = () => {
+    throw new Error("Rejected.");
+  };
+
+  try {
+    assert.ok(!Enforcer.setPinsForHost("rejectpin.test", ["AAAA"]),
+      "Failure was reported.");
+    assert.equal(Enforcer.storage.enforceHosts["rejectpin.test"].pins, null,
+      "Pins were not stored.");
+  } finally {
+    backend.enablePins = original;
+    Enforcer.setSTSForHost("rejectpin.test", false, false);
+  }
+};
+
+/**
+ * Tests that the pins are set for each context of the scope.
+ */
+exports["test setPinsForHost() scope"] = function (assert) {
+  const PRIVATE = Ci.nsISocketProvider.NO_PERMANENT_STORAGE;
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.setSTSForHost("scopepin.test", true, false, undefined,
+                         Enforcer.scope.NORMAL);
+  Enforcer.setSTSForHost("bothpin.test", true, false);
+
+  let backend = Enforcer.backend;
+  let original = backend.enablePins;
+  let contexts = [];
+  backend.enablePins = (uri, pins, includeSubdomains, maxAge, flags) =>
+    contexts.push([uri.host, flags]);
+
+  try {
+    Enforcer.setPinsForHost("scopepin.test", ["AAAA"]);
+    Enforcer.setPinsForHost("bothpin.test", ["AAAA"]);
+    assert.deepEqual(contexts, [
+      ["scopepin.test", 0],
+      ["bothpin.test", 0],
+      ["bothpin.test", PRIVATE],
+    ], "The pins were set for the contexts of the scope.");
+  } finally {
+    backend.enablePins = original;
+    Enforcer.setSTSForHost("scopepin.test", false, false);
+    Enforcer.setSTSForHost("bothpin.test", false, false);
+  }
+};
+
+/**
+ * Tests that suspendHost() disables the enforcement temporarily.
+ */
+exports["test suspendHost()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.setSTSForHost("suspend.test", true, true);
+
+  Enforcer.suspendHost("suspend.test", 60000);
+  let entry = Enforcer.storage.enforceHosts["suspend.test"];
+  assert.ok(Enforcer.isSuspended(entry), "The entry is suspended.");
+  assertIsSecureUri(assert, "suspend.test", false, false);
+  assert.deepEqual(Enforcer.repairSTS(), [],
+    "Suspended entries are not repaired.");
+  assert.deepEqual(Enforcer.resumeSuspended(), [],
+    "The suspension has not ended yet.");
+
+  // End the suspension.
+  entry.suspendedUntil = Date.now() - 1;
+  assert.deepEqual(Enforcer.resumeSuspended(), ["suspend.test"],
+    "The entry was resumed.");
+  assert.ok(!Enforcer.isSuspended(entry), "The entry is not suspended.");
+  assertIsSecureUri(assert, "suspend.test", true, true);
+  Enforcer.scheduleResume();
+};
+
+/**
+ * Tests that all hosts can be suspended and resumed at once.
+ */
+exports["test suspendAll()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.setSTSForHost("suspendall.test", true, true);
+  Enforcer.setSTSForHost("other-suspendall.test", true, false);
+
+  assert.equal(Enforcer.getSuspendableHost("sub.suspendall.test"),
+    "suspendall.test", "Enforcing parent can be suspended.");
+  assert.equal(Enforcer.getSuspendableHost("unknown.test"), null,
+    "Unenforced host can't be suspended.");
+
+  Enforcer.suspendHost("other-suspendall.test", 120000);
+  Enforcer.suspendAll(60000);
+  assert.ok(Enforcer.isAllSuspended(), "All hosts were suspended.");
+  assert.deepEqual(Enforcer.getSuspendedHosts(), ["other-suspendall.test"],
+    "Suspending all hosts doesn't suspend them one by one.");
+  assert.ok(Enforcer.getSuspendedTime("suspendall.test") <= 60000,
+    "Remaining time was returned.");
+  assertIsSecureUri(assert, "suspendall.test", false, false);
+
+  // Hosts added while all hosts are suspended are not enforced.
+  Enforcer.setSTSForHost("new-suspendall.test", true, false);
+  assertIsSecureUri(assert, "new-suspendall.test", false, false);
+
+  // The suspension survives ensuring the state, e.g. on restart.
+  Enforcer.ensureSTS();
+  assert.ok(Enforcer.isAllSuspended(), "ensureSTS() kept the suspension.");
+  assertIsSecureUri(assert, "suspendall.test", false, false);
+
+  Enforcer.resumeAll();
+  assert.ok(!Enforcer.isAllSuspended(), "All hosts were resumed.");
+  assert.equal(Enforcer.getSuspendedTime("suspendall.test"), null,
+    "Resumed host has no remaining time.");
+  assertIsSecureUri(assert, "suspendall.test", true, true);
+  assertIsSecureUri(assert, "new-suspendall.test", true, false);
+
+  // Hosts suspended on their own stay suspended.
+  Enforcer.suspendHost("other-suspendall.test", 120000);
+  Enforcer.suspendAll(60000);
+  Enforcer.resumeAll();
+  assertIsSecureUri(assert, "other-suspendall.test", false, false);
+
+  // The suspension ends on time.
+  Enforcer.suspendAll(60000);
+  Enforcer.storage.suspendedAllUntil = Date.now() - 1;
+  assert.deepEqual(Enforcer.resumeSuspended().sort(),
+    ["new-suspendall.test", "suspendall.test"], "The hosts were resumed.");
+  assert.ok(!Enforcer.storage.suspendedAllUntil, "The flag was cleared.");
+
+  Enforcer.resumeHost("other-suspendall.test");
+  assert.deepEqual(Enforcer.getSuspendedHosts(), [],
+    "Single host was resumed.");
+  Enforcer.scheduleResume();
+};
+
+/**
+ * Tests that the scope limits the enforcement to normal or private contexts.
+ */
+exports["test setSTSForHost() scope"] = function (assert) {
+  const PRIVATE = Ci.nsISocketProvider.NO_PERMANENT_STORAGE;
+  Enforcer.storage.enforceHosts = {};
+
+  Enforcer.setSTSForHost("normalscope.test", true, false, 0,
+                         Enforcer.scope.NORMAL);
+  assert.ok(sss.isSecureHost(sss.HEADER_HSTS, "normalscope.test", 0),
+    "Normal scope is enforced in normal contexts.");
+  assert.ok(!sss.isSecureHost(sss.HEADER_HSTS, "normalscope.test", PRIVATE),
+    "Normal scope is not enforced in private contexts.");
+
+  Enforcer.setSTSForHost("privatescope.test", true, false, 0,
+                         Enforcer.scope.PRIVATE);
+  assert.ok(!sss.isSecureHost(sss.HEADER_HSTS, "privatescope.test", 0),
+    "Private scope is not enforced in normal contexts.");
+  assert.ok(sss.isSecureHost(sss.HEADER_HSTS, "privatescope.test", PRIVATE),
+    "Private scope is enforced in private contexts.");
+
+  // Changing other settings keeps the scope.
+  Enforcer.setSTSForHost("privatescope.test", true, true);
+  assert.equal(Enforcer.storage.enforceHosts["privatescope.test"].scope,
+    Enforcer.scope.PRIVATE, "The scope was kept.");
+
+  // The private state is restored for private scoped hosts only.
+  Enforcer.disableSTSForHost("privatescope.test");
+  Enforcer.disableSTSForHost("normalscope.test");
+  Enforcer.ensurePrivateSTS();
+  assert.ok(sss.isSecureHost(sss.HEADER_HSTS, "privatescope.test", PRIVATE),
+    "The private state was restored.");
+  assert.ok(!sss.isSecureHost(sss.HEADER_HSTS, "normalscope.test", 0),
+    "Normal scoped hosts were not touched.");
+};
+
+/**
+ * Tests that getEnforcedAncestorHosts() lists all enforced parents.
+ */
+exports["test getEnforcedAncestorHosts()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {
+    "ancestor.test": { includeSubdomains: true },
+    "sub.ancestor.test": { includeSubdomains: true },
+    "foo.bar.sub.ancestor.test": { includeSubdomains: false },
+  };
+
+  assert.deepEqual(
+    Enforcer.getEnforcedAncestorHosts("foo.bar.sub.ancestor.test"),
+    ["sub.ancestor.test", "ancestor.test"],
+    "Ancestors were listed closest first without the host itself.");
+  assert.deepEqual(Enforcer.getEnforcedAncestorHosts("ancestor.test"), [],
+    "The base domain has no ancestors.");
+};
+
+/**
+ * Tests that setSTSForHost() logs the changes and that they can be reverted.
+ */
+exports["test change log"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.storage.changeLog = [];
+
+  Enforcer.setSTSForHost("log.test", true, false, undefined, undefined,
+                         Enforcer.source.POPUP);
+  Enforcer.setSTSForHost("log.test", true, false);
+  Enforcer.setSTSForHost("log.test", true, true);
+  Enforcer.setSTSForHost("log.test", false, false);
+
+  let changes = Enforcer.getChanges();
+  assert.equal(changes.length, 3, "Changes without effect were not logged.");
+  assert.equal(changes[0].next, null, "Latest change removed the host.");
+  assert.ok(changes[0].previous.includeSubdomains,
+    "Previous state was logged.");
+  assert.equal(changes[2].previous, null, "First change added the host.");
+  assert.equal(changes[2].source, "popup", "Source was logged.");
+
+  assert.ok(Enforcer.undoLastChange(), "Undo succeeded.");
+  assert.equal(Enforcer.getSTSStatusForHost("log.test"),
+    Enforcer.status.USER_ENFORCED_WITH_SUBDOMAINS, "Removal was undone.");
+  assertIsSecureUri(assert, "log.test", true, true);
+  assert.equal(Enforcer.getChanges()[0].source, "undo", "Undo was logged.");
+
+  assert.ok(Enforcer.revertChange(changes[2].id), "Revert succeeded.");
+  assert.equal(Enforcer.getSTSStatusForHost("log.test"),
+    Enforcer.status.NOT_ENFORCED, "Addition was reverted.");
+  assert.ok(!Enforcer.revertChange(-1), "Unknown changes can't be reverted.");
+
+  for (let i = 0; i < 120; i++) {
+    Enforcer.setSTSForHost("log.test", i % 2 === 0, false);
+  }
+  assert.equal(Enforcer.getChanges().length, 100, "The log is bounded.");
+
+  Enforcer.setSTSForHost("log.test", false, false);
+  Enforcer.storage.changeLog = [];
+};
+
+/**
+ * Tests that grouped changes are logged and undone together.
+ */
+exports["test groupChanges()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.setSTSForHost("group.test", true, true);
+  Enforcer.storage.changeLog = [];
+
+  // Move the enforcement down to the subdomain.
+  Enforcer.groupChanges(Enforcer.source.POPUP, () => {
+    Enforcer.setSTSForHost("group.test", false, false);
+    Enforcer.setSTSForHost("www.group.test", true, false);
+  });
+
+  let changes = Enforcer.getChanges();
+  assert.equal(changes.length, 1, "The group was logged as one change.");
+  assert.deepEqual(changes[0].changes.map(c => c.host),
+    ["group.test", "www.group.test"], "The changes of each host were kept.");
+  assert.equal(changes[0].source, Enforcer.source.POPUP,
+    "The source of the group was logged.");
+
+  assert.ok(Enforcer.undoLastChange(), "Undo succeeded.");
+  assert.equal(Enforcer.getSTSStatusForHost("group.test"),
+    Enforcer.status.USER_ENFORCED_WITH_SUBDOMAINS, "The parent was restored.");
+  assert.ok(!Enforcer.storage.enforceHosts["www.group.test"],
+    "The subdomain was removed.");
+  assert.equal(Enforcer.getChanges().length, 2,
+    "The undo was logged as one change.");
+
+  Enforcer.groupChanges(Enforcer.source.POPUP, () => {});
+  assert.equal(Enforcer.getChanges().length, 2,
+    "Empty groups are not logged.");
+
+  Enforcer.setSTSForHost("group.test", false, false);
+  Enforcer.storage.changeLog = [];
+};
+
+/**
+ * Tests that changes of the user enforced hosts fire events.
+ */
+exports["test events"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+
+  let fired = [];
+  let listener = type => ({ host, entry }) => fired.push([type, host, entry]);
+  let listeners = {};
+  for (let key of Object.keys(Enforcer.event)) {
+    let type = Enforcer.event[key];
+    listeners[type] = listener(type);
+    Enforcer.on(type, listeners[type]);
+  }
+
+  Enforcer.setSTSForHost("events.test", true, false);
+  Enforcer.setSTSForHost("events.test", true, true);
+  Enforcer.setNoteForHost("events.test", "Note");
+  Enforcer.setSTSForHost("events.test", false, false);
+
+  for (let type of Object.keys(listeners)) {
+    Enforcer.removeListener(type, listeners[type]);
+  }
+
+  assert.deepEqual(fired.map(([type, host]) => [type, host]), [
+    ["added", "events.test"],
+    ["changed", "events.test"],
+    ["changed", "events.test"],
+    ["removed", "events.test"],
+  ], "Events were fired for every change.");
+  assert.ok(fired[1][2].includeSubdomains, "Event has the new entry.");
+  assert.equal(fired[3][2].note, "Note", "Removal has the old entry.");
+
+  Enforcer.setSTSForHost("events.test", true, false);
+  assert.equal(fired.length, 4, "Removed listeners are not called.");
+  Enforcer.setSTSForHost("events.test", false, false);
+};
+
+/**
+ * Tests that preloaded hosts get a status of their own and that user entries
+ * covered by the preload list are flagged.
+ */
+exports["test PRELOADED status"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+
+  // Fake preload list entries.
+  let preload = {
+    "preload.test": { includeSubdomains: true },
+    "nosub.preload2.test": { includeSubdomains: false },
+  };
+  let original = Enforcer.getPreloadEntry;
+  Enforcer.getPreloadEntry = host => preload[host] || null;
+
+  try {
+    assert.ok(Enforcer.isPreloaded("preload.test", true),
+      "Host with subdomains is preloaded.");
+    assert.ok(Enforcer.isPreloaded("www.preload.test", true),
+      "Subdomain is covered by the parent.");
+    assert.ok(Enforcer.isPreloaded("nosub.preload2.test", false),
+      "Host without subdomains is preloaded.");
+    assert.ok(!Enforcer.isPreloaded("nosub.preload2.test", true),
+      "Subdomains of the host are not preloaded.");
+    assert.ok(!Enforcer.isPreloaded("www.nosub.preload2.test", false),
+      "Subdomain is not covered by the parent.");
+
+    assert.equal(Enforcer.getSTSStatusForHost("www.preload.test"),
+      Enforcer.status.PRELOADED, "Status is PRELOADED.");
+
+    Enforcer.setSTSForHost("www.preload.test", true, true);
+    assert.equal(Enforcer.getSTSStatusForHost("www.preload.test"),
+      Enforcer.status.USER_ENFORCED_WITH_SUBDOMAINS,
+      "Preloaded hosts can be enforced.");
+    assert.ok(Enforcer.isRedundant("www.preload.test"),
+      "The entry is redundant.");
+
+    Enforcer.setSTSForHost("nosub.preload2.test", true, true);
+    assert.ok(!Enforcer.isRedundant("nosub.preload2.test"),
+      "The entry covers more than the preload list.");
+
+    // The subdomain gets no knockout entry so its state can be removed.
+    assert.ok(!Enforcer.storage.enforceHosts["www.preload.test"].preloaded,
+      "Subdomain covered by the parent is not on the list itself.");
+    Enforcer.setSTSForHost("www.preload.test", false, false);
+    assert.ok(!Enforcer.storage.enforceHosts["www.preload.test"],
+      "The entry was removed.");
+    assert.equal(Enforcer.getSTSStatusForHost("www.preload.test"),
+      Enforcer.status.PRELOADED, "Status is PRELOADED again.");
+    assertIsSecureUri(assert, "www.preload.test", false, false);
+
+    // Removing the state would knock the host off the preload list.
+    assert.ok(Enforcer.storage.enforceHosts["nosub.preload2.test"].preloaded,
+      "Host on the list was recognized.");
+    Enforcer.setSTSForHost("nosub.preload2.test", false, false);
+    assert.ok(!Enforcer.storage.enforceHosts["nosub.preload2.test"],
+      "The entry was removed.");
+    assertIsSecureUri(assert, "nosub.preload2.test", true, true);
+  } finally {
+    Enforcer.getPreloadEntry = original;
+    Enforcer.setSTSForHost("www.preload.test", false, false);
+    Enforcer.setSTSForHost("nosub.preload2.test", false, false);
+
+    // The fake preloaded host keeps its state otherwise.
+    Enforcer.disableSTSForHost("nosub.preload2.test");
+  }
+};
+
+/**
+ * Tests that lookups find the entry of a host written in another form.
+ */
+exports["test lookups normalize hosts"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.setSTSForHost("bücher.test", true, true);
+  Enforcer.setSTSForHost("dot.test.", true, false);
+
+  assert.ok(Enforcer.storage.enforceHosts["xn--bcher-kva.test"],
+    "IDN host was stored in punycode.");
+  assert.equal(Enforcer.getSTSStatusForHost("bücher.test"),
+    Enforcer.status.USER_ENFORCED_WITH_SUBDOMAINS,
+    "Unicode host was found.");
+  assert.equal(Enforcer.getSTSStatusForHost("dot.test."),
+    Enforcer.status.USER_ENFORCED, "Host with a trailing dot was found.");
+  assert.equal(Enforcer.getEnforcingParentHost("www.bücher.test"),
+    "xn--bcher-kva.test", "Parent of an Unicode subdomain was found.");
+
+  Enforcer.setExceptionForHost("www.bücher.test", true);
+  assert.equal(Enforcer.getSTSStatusForHost("www.xn--bcher-kva.test"),
+    Enforcer.status.USER_EXCEPTED, "Exception was stored in punycode.");
+
+  Enforcer.setSTSForHost("bücher.test", false, false);
+  Enforcer.setSTSForHost("dot.test", false, false);
+  assert.deepEqual(Object.keys(Enforcer.storage.enforceHosts), [],
+    "Entries were removed.");
+};
+
 // Run everything.
 require("sdk/test").run(exports);
@@ -0,0 +1,39 @@
+const { Enforcer } = require("../lib/enforcer");
+const { FailureMonitor } = require("../lib/failure-monitor");
+
+/**
+ * Tests that getEnforcingHost() finds the entry causing the enforcement.
+ */
+exports["test getEnforcingHost()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {
+    "failure.test": { includeSubdomains: true },
+  };
+
+  assert.equal(FailureMonitor.getEnforcingHost("failure.test"), "failure.test",
+    "The enforced host itself was found.");
+  assert.equal(FailureMonitor.getEnforcingHost("sub.failure.test"),
+    "failure.test", "The enforcing parent was found.");
+  assert.equal(FailureMonitor.getEnforcingHost("other.test"), null,
+    "Hosts the user hasn't enforced have no entry.");
+};
+
+/**
+ * Tests that logFailure() keeps a bounded log, newest first.
+ */
+exports["test logFailure()"] = function (assert) {
+  FailureMonitor.storage.failures = [];
+
+  for (let i = 0; i < 60; i++) {
+    FailureMonitor.logFailure("log" + i + ".test", "log.test", "Bad cert");
+  }
+
+  let failures = FailureMonitor.getFailures();
+  assert.equal(failures.length, 50, "The log is bounded.");
+  assert.equal(failures[0].host, "log59.test", "The newest failure is first.");
+  assert.equal(failures[0].enforcingHost, "log.test",
+    "The enforcing host was logged.");
+  assert.equal(failures[0].reason, "Bad cert", "The reason was logged.");
+};
+
+// Run everything.
+require("sdk/test").run(exports);
@@ -0,0 +1,90 @@
+const { Enforcer } = require("../lib/enforcer");
+const { HistoryScanner } = require("../lib/history-scanner");
+
+/**
+ * Tests that analyze() groups https-only hosts by their base domain.
+ */
+exports["test analyze()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {
+    "enforced.scan.example.com": { includeSubdomains: false },
+  };
+
+  let candidates = HistoryScanner.analyze([
+    "https://example.com/",
+    "https://www.example.com/page",
+    "https://www.example.com/other",
+    "https://enforced.scan.example.com/",
+    "https://example.org/",
+    "http://www.example.org/",
+    "https://api.example.net/",
+    "http://mixed.example.net/",
+    "https://mixed.example.net/",
+    "http://plain.example.info/",
+    "https://127.0.0.1/",
+    "ftp://files.example.edu/",
+    "not a url",
+  ]);
+
+  assert.deepEqual(candidates, [
+    {
+      domain: "example.com",
+      hosts: ["example.com", "www.example.com"],
+      includeSubdomains: true
+    },
+    {
+      domain: "example.net",
+      hosts: ["api.example.net"],
+      includeSubdomains: false
+    },
+    {
+      domain: "example.org",
+      hosts: ["example.org"],
+      includeSubdomains: false
+    },
+  ], "Only https-only hosts that are not enforced were found.");
+
+  Enforcer.setSTSForHost("enforced.scan.example.com", false, false);
+};
+
+/**
+ * Tests that enforce() adds one entry for candidates with subdomains and an
+ * entry for each host otherwise.
+ */
+exports["test enforce()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.storage.changeLog = [];
+
+  let count = HistoryScanner.enforce([
+    {
+      domain: "scan.example.com",
+      hosts: ["scan.example.com", "www.scan.example.com"],
+      includeSubdomains: true
+    },
+    {
+      domain: "scan.example.org",
+      hosts: ["a.scan.example.org", "b.scan.example.org"],
+      includeSubdomains: false
+    },
+  ]);
+
+  assert.equal(count, 3, "Three entries were added.");
+  assert.equal(Enforcer.getSTSStatusForHost("scan.example.com"),
+    Enforcer.status.USER_ENFORCED_WITH_SUBDOMAINS,
+    "The base domain was enforced with subdomains.");
+  assert.equal(Enforcer.getSTSStatusForHost("a.scan.example.org"),
+    Enforcer.status.USER_ENFORCED, "The host was enforced alone.");
+  assert.ok(!Enforcer.storage.enforceHosts["scan.example.org"],
+    "The base domain was not enforced.");
+  assert.equal(Enforcer.getChanges().length, 1,
+    "The entries were logged as one change.");
+  assert.equal(Enforcer.getChanges()[0].changes.length, 3,
+    "Every entry is reverted with the change.");
+
+  for (let host of ["scan.example.com", "a.scan.example.org",
+                    "b.scan.example.org"]) {
+    Enforcer.setSTSForHost(host, false, false);
+  }
+  Enforcer.storage.changeLog = [];
+};
+
+require("sdk/test").run(exports);
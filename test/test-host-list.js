@@ -0,0 +1,171 @@
+const { Enforcer } = require("../lib/enforcer");
+const { HostList } = require("../lib/host-list");
+
+/**
+ * Tests that normalizeHost() accepts hostnames and URLs and rejects garbage.
+ */
+exports["test normalizeHost()"] = function (assert) {
+  assert.equal(HostList.normalizeHost(" Example.COM "), "example.com",
+    "Hostname was trimmed and lowercased.");
+  assert.equal(HostList.normalizeHost("https://example.com/path"),
+    "example.com", "Hostname was extracted from an URL.");
+  assert.equal(HostList.normalizeHost("localhost"), null,
+    "Single label host was rejected.");
+  assert.equal(HostList.normalizeHost(""), null, "Empty host was rejected.");
+  assert.equal(HostList.normalizeHost(42), null, "Non-string was rejected.");
+};
+
+/**
+ * Tests that parse() reads the files created by export().
+ */
+exports["test export() and parse()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {
+    "exporttest.com": { includeSubdomains: false },
+    "subexporttest.com": { includeSubdomains: true }
+  };
+
+  let { entries, invalid } = HostList.parse(HostList.export());
+  assert.deepEqual(entries, [
+    { host: "exporttest.com", includeSubdomains: false },
+    { host: "subexporttest.com", includeSubdomains: true },
+  ], "Exported hosts were parsed.");
+  assert.deepEqual(invalid, [], "No invalid hosts.");
+
+  assert.throws(() => HostList.parse(JSON.stringify({
+    format: HostList.FORMAT_NAME,
+    version: HostList.FORMAT_VERSION + 1,
+    hosts: {}
+  })), /version/, "Newer format versions are rejected.");
+};
+
+/**
+ * Tests that parse() reads the Chromium preload list format.
+ */
+exports["test parse() chromium"] = function (assert) {
+  let text = [
+    "// A comment the Chromium file has.",
+    "{",
+    "  \"entries\": [",
+    "    { \"name\": \"chromium.test\", \"mode\": \"force-https\" },",
+    "    { \"name\": \"sub.chromium.test\", \"mode\": \"force-https\",",
+    "      \"include_subdomains\": true },",
+    "    { \"name\": \"pinonly.test\", \"pins\": \"google\" },",
+    "    { \"name\": \"not a host\", \"mode\": \"force-https\" }",
+    "  ]",
+    "}",
+  ].join("\n");
+
+  let { entries, invalid } = HostList.parse(text);
+  assert.deepEqual(entries, [
+    { host: "chromium.test", includeSubdomains: false },
+    { host: "sub.chromium.test", includeSubdomains: true },
+  ], "Force HTTPS entries were parsed.");
+  assert.deepEqual(invalid, ["not a host"], "Invalid host was reported.");
+
+  assert.throws(() => HostList.parse("{"), "Invalid JSON is rejected.");
+  assert.throws(() => HostList.parse("{}"), "Unknown format is rejected.");
+};
+
+/**
+ * Tests that preview() and apply() work in merge and replace modes.
+ */
+exports["test preview() and apply()"] = function (assert) {
+  let entries = [
+    { host: "importnew.test", includeSubdomains: false },
+    { host: "importconflict.test", includeSubdomains: true },
+  ];
+
+  Enforcer.storage.enforceHosts = {
+    "importconflict.test": { includeSubdomains: false },
+    "importold.test": { includeSubdomains: false },
+  };
+
+  assert.deepEqual(HostList.preview(entries, false), {
+    added: ["importnew.test"],
+    conflicts: [
+      { host: "importconflict.test", current: false, imported: true }
+    ],
+    removed: [],
+  }, "Merge preview is correct.");
+
+  assert.deepEqual(HostList.preview(entries, true).removed,
+    ["importold.test"], "Replace preview lists removed hosts.");
+
+  HostList.apply(entries, false);
+  assert.deepEqual(Object.keys(Enforcer.storage.enforceHosts).sort(),
+    ["importconflict.test", "importnew.test", "importold.test"],
+    "Merge kept the old hosts.");
+  assert.ok(Enforcer.storage.enforceHosts["importconflict.test"].includeSubdomains,
+    "Imported value won the conflict.");
+
+  HostList.apply(entries, true);
+  assert.deepEqual(Object.keys(Enforcer.storage.enforceHosts).sort(),
+    ["importconflict.test", "importnew.test"],
+    "Replace removed the old hosts.");
+  assert.equal(Enforcer.getSTSStatusForHost("importold.test"),
+    Enforcer.status.NOT_ENFORCED, "STS was removed from the old host.");
+};
+
+/**
+ * Tests that the changes made by apply() are logged and can be reverted.
+ */
+exports["test apply() logs changes"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.storage.changeLog = [];
+  Enforcer.setSTSForHost("importkept.test", true, false);
+
+  HostList.apply([{ host: "importadded.test", includeSubdomains: true }],
+                 true);
+
+  let changes = Enforcer.getChanges();
+  assert.deepEqual(changes.map(c => c.host),
+    ["importadded.test", "importkept.test", "importkept.test"],
+    "Each imported change was logged.");
+  assert.equal(changes[0].source, Enforcer.source.IMPORT,
+    "The import was recorded as the source.");
+  assert.equal(changes[1].next, null, "The removal was logged.");
+
+  assert.ok(Enforcer.revertChange(changes[1].id), "Revert succeeded.");
+  assert.equal(Enforcer.getSTSStatusForHost("importkept.test"),
+    Enforcer.status.USER_ENFORCED, "The removed host was restored.");
+
+  Enforcer.setSTSForHost("importkept.test", false, false);
+  Enforcer.setSTSForHost("importadded.test", false, false);
+  Enforcer.storage.changeLog = [];
+};
+
+/**
+ * Tests that replacing keeps the entries of the hosts in the import.
+ */
+exports["test apply() replace keeps imported hosts"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  Enforcer.storage.changeLog = [];
+  Enforcer.setSTSForHost("importsame.test", true, false, 3600,
+                         Enforcer.scope.NORMAL, Enforcer.source.MANAGER);
+  Enforcer.setNoteForHost("importsame.test", "Keep me");
+  Enforcer.setSTSForHost("importchanged.test", true, false);
+  Enforcer.setNoteForHost("importchanged.test", "Keep me too");
+  let before = Enforcer.copyEntry(
+    Enforcer.storage.enforceHosts["importsame.test"]);
+  Enforcer.storage.changeLog = [];
+
+  HostList.apply([
+    { host: "importsame.test", includeSubdomains: false },
+    { host: "importchanged.test", includeSubdomains: true },
+  ], true);
+
+  assert.deepEqual(Enforcer.storage.enforceHosts["importsame.test"], before,
+    "Unchanged entry was left alone.");
+  let changed = Enforcer.storage.enforceHosts["importchanged.test"];
+  assert.ok(changed.includeSubdomains, "Changed entry was updated.");
+  assert.equal(changed.note, "Keep me too", "Its metadata was kept.");
+  assert.deepEqual(Enforcer.getChanges().map(c => c.host),
+    ["importchanged.test"], "Only the update was logged.");
+
+  Enforcer.setSTSForHost("importsame.test", false, false);
+  Enforcer.setSTSForHost("importchanged.test", false, false);
+  Enforcer.storage.changeLog = [];
+};
+
+// Run everything.
+require("sdk/test").run(exports);
@@ -0,0 +1,39 @@
+const { Hostname } = require("../lib/hostname");
+
+/**
+ * Tests that normalize() turns the variants of a host into one form.
+ */
+exports["test normalize()"] = function (assert) {
+  assert.equal(Hostname.normalize(" Example.COM "), "example.com",
+    "Hostname was trimmed and lowercased.");
+  assert.equal(Hostname.normalize("example.com."), "example.com",
+    "Trailing dot was removed.");
+  assert.equal(Hostname.normalize("https://Example.com:8443/path"),
+    "example.com", "Hostname was extracted from an URL.");
+  assert.equal(Hostname.normalize("example.com:8080"), "example.com",
+    "Port was removed.");
+  assert.equal(Hostname.normalize("bücher.example"),
+    "xn--bcher-kva.example", "IDN was converted to punycode.");
+  assert.equal(Hostname.normalize("xn--bcher-kva.example"),
+    "xn--bcher-kva.example", "Punycode was kept.");
+};
+
+/**
+ * Tests that validate() rejects hosts that can't be enforced with a reason.
+ */
+exports["test validate()"] = function (assert) {
+  let rejected = ["", "   ", 42, "localhost", "192.168.0.1", "[::1]",
+                  "::1", "com", "co.uk", "exa mple.com", "-bad.example.com",
+                  "http://"];
+
+  for (let input of rejected) {
+    let { host, error } = Hostname.validate(input);
+    assert.equal(host, null, JSON.stringify(input) + " was rejected.");
+    assert.ok(error, JSON.stringify(input) + " has a reason.");
+  }
+
+  assert.deepEqual(Hostname.validate("www.example.co.uk"),
+    { host: "www.example.co.uk", error: null }, "Valid host was accepted.");
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,106 @@
+const _ = require("sdk/l10n").get;
+
+const { Enforcer } = require("../lib/enforcer");
+const { HttpsProbe } = require("../lib/https-probe");
+
+/**
+ * Replaces the probe request with a fake one that fires given event.
+ *
+ * @param {String} event
+ *        The event the request fires: "load", "error" or "timeout".
+ * @param {Number} status
+ *        The status of the channel.
+ * @return {Object} An object with form { requests, restore } where requests
+ *   lists the probed URLs.
+ */
+function fakeRequests(event, status) {
+  let original = HttpsProbe.createRequest;
+  let requests = [];
+
+  HttpsProbe.createRequest = () => {
+    let listeners = {};
+    return {
+      channel: { loadFlags: 0, status },
+      open: (method, url) => requests.push(url),
+      addEventListener: (type, listener) => listeners[type] = listener,
+      send: () => Promise.resolve().then(() => listeners[event]())
+    };
+  };
+
+  return { requests, restore: () => HttpsProbe.createRequest = original };
+}
+
+/**
+ * Tests that probe() reports the outcome of the request.
+ */
+exports["test probe()"] = function (assert, done) {
+  let uri = Enforcer.getURI("https://probe.test:8443/page?query");
+  let fake = fakeRequests("load", 0);
+
+  HttpsProbe.probe(uri).then(result => {
+    fake.restore();
+    assert.deepEqual(result, { ok: true, reason: null },
+      "Any response means success.");
+    assert.deepEqual(fake.requests, ["https://probe.test:8443/"],
+      "The origin was probed with its port.");
+
+    fake = fakeRequests("timeout", 0);
+    return HttpsProbe.probe(uri);
+  }).then(result => {
+    fake.restore();
+    assert.deepEqual(result,
+      { ok: false, reason: _("ui.upgrade.error.timeout") },
+      "Timeout was reported.");
+
+    fake = fakeRequests("error", 0);
+    return HttpsProbe.probe(uri);
+  }).then(result => {
+    fake.restore();
+    assert.deepEqual(result,
+      { ok: false, reason: _("ui.upgrade.error.unreachable") },
+      "Unreachable server was reported.");
+    done();
+  }, e => {
+    fake.restore();
+    assert.fail(e);
+    done();
+  });
+};
+
+/**
+ * Tests that upgrade() enforces STS only if the probe succeeds, and probes
+ * the same origin it returns for the reload.
+ */
+exports["test upgrade()"] = function (assert, done) {
+  Enforcer.storage.enforceHosts = {};
+  let uri = Enforcer.getURI("http://upgrade.test:8080/page");
+
+  let error = fakeRequests("error", 0);
+  HttpsProbe.upgrade(uri, true).then(result => {
+    error.restore();
+    assert.ok(!result.ok, "Failure was reported.");
+    assert.equal(Enforcer.getSTSStatusForHost("upgrade.test"),
+      Enforcer.status.NOT_ENFORCED, "STS was not enforced.");
+
+    let load = fakeRequests("load", 0);
+    return HttpsProbe.upgrade(uri, true).then(result => {
+      load.restore();
+      assert.ok(result.ok, "Success was reported.");
+      assert.equal(result.uri.spec, "https://upgrade.test:8080/page",
+        "The reload keeps the port.");
+      assert.deepEqual(load.requests, ["https://upgrade.test:8080/"],
+        "The probe used the same origin.");
+      assert.equal(Enforcer.getSTSStatusForHost("upgrade.test"),
+        Enforcer.status.USER_ENFORCED_WITH_SUBDOMAINS, "STS was enforced.");
+    });
+  }).then(() => {
+    Enforcer.setSTSForHost("upgrade.test", false, false);
+    done();
+  }, e => {
+    assert.fail(e);
+    done();
+  });
+};
+
+// Run everything.
+require("sdk/test").run(exports);
@@ -0,0 +1,72 @@
+const { Ci } = require("chrome");
+const { Enforcer } = require("../lib/enforcer");
+const { RedirectBackend } = require("../lib/redirect-backend");
+
+const PRIVATE = Ci.nsISocketProvider.NO_PERMANENT_STORAGE;
+
+/**
+ * Tests that the rules follow the includeSubdomains semantics of the site
+ * security service.
+ */
+exports["test isSTSEnabled()"] = function (assert) {
+  let uri = host => Enforcer.getURI(host);
+
+  RedirectBackend.enableSTS(uri("redirect.test"), true, 3600, 0);
+  RedirectBackend.enableSTS(uri("nosub.redirect.test"), false, 3600, 0);
+  RedirectBackend.enableSTS(uri("private.test"), false, 3600, PRIVATE);
+
+  assert.ok(RedirectBackend.isSTSEnabled(uri("redirect.test"), 0),
+    "Host is upgraded.");
+  assert.ok(RedirectBackend.isSTSEnabled(uri("www.redirect.test"), 0),
+    "Subdomain is upgraded.");
+  assert.ok(RedirectBackend.isSTSEnabled(uri("nosub.redirect.test"), 0),
+    "Host with its own rule is upgraded.");
+  assert.ok(!RedirectBackend.isSTSEnabled(uri("www.nosub.redirect.test"), 0),
+    "The closest rule decides.");
+
+  assert.ok(RedirectBackend.isSTSEnabled(uri("private.test"), PRIVATE),
+    "Private rule applies to private contexts.");
+  assert.ok(!RedirectBackend.isSTSEnabled(uri("private.test"), 0),
+    "Private rule doesn't apply to normal contexts.");
+
+  RedirectBackend.disableSTS(uri("redirect.test"), 0);
+  assert.ok(!RedirectBackend.isSTSEnabled(uri("www.redirect.test"), 0),
+    "Rule was removed.");
+
+  RedirectBackend.enableSTS(uri("expired.test"), false, 0, 0);
+  assert.ok(!RedirectBackend.isSTSEnabled(uri("expired.test"), 0),
+    "Expired rule doesn't apply.");
+
+  RedirectBackend.destroy();
+};
+
+/**
+ * Tests that the Enforcer works with the redirect backend.
+ */
+exports["test Enforcer with redirect backend"] = function (assert) {
+  let original = Enforcer._backend;
+  Enforcer._backend = RedirectBackend;
+  Enforcer.storage.enforceHosts = {};
+
+  try {
+    Enforcer.setSTSForHost("backend.test", true, true);
+    assert.ok(RedirectBackend.isSTSEnabled(
+      Enforcer.getURI("sub.backend.test"), 0), "Subdomain is upgraded.");
+    assert.ok(Enforcer.isEntryApplied("backend.test",
+      Enforcer.storage.enforceHosts["backend.test"]), "Entry was applied.");
+
+    Enforcer.setPinsForHost("backend.test", ["AAAA"]);
+    assert.ok(Enforcer.isEntryApplied("backend.test",
+      Enforcer.storage.enforceHosts["backend.test"]),
+      "Pins are ignored by a backend without them.");
+
+    Enforcer.setSTSForHost("backend.test", false, false);
+    assert.ok(!RedirectBackend.isSTSEnabled(Enforcer.getURI("backend.test"), 0),
+      "Rule was removed.");
+  } finally {
+    Enforcer._backend = original;
+    RedirectBackend.destroy();
+  }
+};
+
+require("sdk/test").run(exports);
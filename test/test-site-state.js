@@ -0,0 +1,69 @@
+const { SiteState } = require("../lib/site-state");
+
+/**
+ * Tests that parse() reads the STS entries that are set.
+ */
+exports["test parse()"] = function (assert) {
+  let entries = SiteState.parse([
+    "state.test:HSTS\t0\t17000\t4102444800000,1,1",
+    "nosub.state.test:HSTS\t0\t17000\t4102444800000,1,0,2",
+    "knockout.test:HSTS\t0\t17000\t4102444800000,2,0",
+    "pinned.test:HPKP\t0\t17000\t4102444800000,1,0,pins",
+    "private.test:HSTS^privateBrowsingId=1\t0\t17000\t4102444800000,1,0",
+    "",
+  ].join("\n"));
+
+  assert.deepEqual(entries, {
+    "state.test": { expires: 4102444800000, includeSubdomains: true },
+    "nosub.state.test": { expires: 4102444800000, includeSubdomains: false },
+  }, "Only the STS entries that are set were read.");
+};
+
+/**
+ * Tests that getPolicy() finds the policy of the host or an ancestor that
+ * includes subdomains.
+ */
+exports["test getPolicy()"] = function (assert) {
+  let future = Date.now() + 60000;
+  SiteState.loaded = Date.now();
+  SiteState.entries = SiteState.parse([
+    "state.test:HSTS\t0\t17000\t" + future + ",1,1",
+    "nosub.test:HSTS\t0\t17000\t" + future + ",1,0",
+    "expired.test:HSTS\t0\t17000\t" + (Date.now() - 1000) + ",1,0",
+  ].join("\n"));
+
+  assert.deepEqual(SiteState.getPolicy("a.state.test"), {
+    source: "state.test",
+    includeSubdomains: true,
+    expires: future
+  }, "The ancestor policy applies to subdomains.");
+  assert.equal(SiteState.getPolicy("nosub.test").source, "nosub.test",
+    "The host's own policy was found.");
+  assert.equal(SiteState.getPolicy("a.nosub.test"), null,
+    "The policy doesn't apply to subdomains.");
+  assert.equal(SiteState.getPolicy("expired.test"), null,
+    "Expired policies are ignored.");
+
+  SiteState.entries = {};
+};
+
+/**
+ * Tests that load() reads the state file of the profile asynchronously.
+ */
+exports["test load()"] = function (assert, done) {
+  SiteState.entries = null;
+
+  let loading = SiteState.load();
+  assert.equal(SiteState.entries, null, "The file is read asynchronously.");
+
+  loading.then(() => {
+    assert.equal(typeof SiteState.entries, "object",
+      "The entries were read.");
+    assert.ok(SiteState.entries !== null, "The cache was filled.");
+    SiteState.entries = {};
+    done();
+  });
+};
+
+// Run everything.
+require("sdk/test").run(exports);
@@ -0,0 +1,28 @@
+const { Enforcer } = require("../lib/enforcer");
+const { StateGuard } = require("../lib/state-guard");
+
+/**
+ * Tests that check() restores lost state and records the repairs.
+ */
+exports["test check()"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  StateGuard.storage.repairStats = undefined;
+
+  Enforcer.setSTSForHost("guard.test", true, false);
+  assert.deepEqual(StateGuard.check("periodic"), [], "Nothing to repair.");
+  assert.equal(StateGuard.getStats().count, 0, "No repair was recorded.");
+
+  Enforcer.disableSTSForHost("guard.test");
+  assert.deepEqual(StateGuard.check("browser:purge-session-history"),
+    ["guard.test"], "Lost state was repaired.");
+
+  let stats = StateGuard.getStats();
+  assert.equal(stats.count, 1, "The repair was recorded.");
+  assert.equal(stats.hosts, 1, "The repaired host was counted.");
+  assert.ok(stats.last > 0, "The time of the repair was recorded.");
+  assert.equal(stats.triggers["browser:purge-session-history"], 1,
+    "The trigger was recorded.");
+};
+
+// Run everything.
+require("sdk/test").run(exports);
@@ -0,0 +1,39 @@
+const { Cc, Ci } = require("chrome");
+const { SubresourceTracker } = require("../lib/subresource-tracker");
+
+const IOService = Cc["@mozilla.org/network/io-service;1"]
+                    .getService(Ci.nsIIOService);
+
+/**
+ * Tests that the hosts are recorded per page with their scheme.
+ */
+exports["test recordRequest()"] = function (assert) {
+  let uri = spec => IOService.newURI(spec, null, null);
+  let browser = { currentURI: uri("https://page.test/") };
+  let other = { currentURI: uri("https://other.test/") };
+
+  SubresourceTracker.init();
+
+  SubresourceTracker.recordRequest(browser, browser.currentURI, true);
+  SubresourceTracker.recordRequest(browser, uri("https://page.test/a.css"));
+  SubresourceTracker.recordRequest(browser, uri("https://cdn.test/a.js"));
+  SubresourceTracker.recordRequest(browser, uri("http://api.test/data"));
+  SubresourceTracker.recordRequest(browser, uri("https://api.test/data"));
+  SubresourceTracker.recordRequest(other, uri("https://auth.test/"));
+
+  assert.deepEqual(SubresourceTracker.getHosts(browser), [
+    { host: "api.test", scheme: "http" },
+    { host: "cdn.test", scheme: "https" },
+  ], "Hosts of the page were listed without the page itself.");
+  assert.deepEqual(SubresourceTracker.getHosts(other),
+    [{ host: "auth.test", scheme: "https" }], "Tabs are kept apart.");
+
+  browser.currentURI = uri("https://next.test/");
+  SubresourceTracker.recordRequest(browser, browser.currentURI, true);
+  assert.deepEqual(SubresourceTracker.getHosts(browser), [],
+    "New page started with an empty list.");
+
+  SubresourceTracker.destroy();
+};
+
+require("sdk/test").run(exports);
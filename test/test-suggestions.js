@@ -0,0 +1,60 @@
+const { Enforcer } = require("../lib/enforcer");
+const { Suggestions } = require("../lib/suggestions");
+
+/**
+ * Resets the storage used by the suggestions.
+ */
+function resetStorage() {
+  Enforcer.storage.enforceHosts = {};
+  Suggestions.storage.suggestions = {};
+  Suggestions.storage.ignoredSuggestions = {};
+}
+
+/**
+ * Tests that hosts are suggested after enough secure loads.
+ */
+exports["test recordVisit()"] = function (assert) {
+  resetStorage();
+
+  Suggestions.recordVisit("suggest.test");
+  Suggestions.recordVisit("suggest.test");
+  assert.ok(!Suggestions.isSuggested("suggest.test"),
+    "Host is not suggested after two loads.");
+
+  Suggestions.recordVisit("suggest.test");
+  assert.ok(Suggestions.isSuggested("suggest.test"),
+    "Host is suggested after three loads.");
+  assert.deepEqual(Suggestions.getSuggestions(),
+    [{ host: "suggest.test", count: 3 }], "Suggestions are listed.");
+};
+
+/**
+ * Tests that ignored and enforced hosts are not suggested.
+ */
+exports["test ignore() and accept()"] = function (assert) {
+  resetStorage();
+
+  for (let i = 0; i < 3; i++) {
+    Suggestions.recordVisit("ignore.test");
+    Suggestions.recordVisit("accept.test");
+  }
+
+  Suggestions.ignore("ignore.test");
+  Suggestions.recordVisit("ignore.test");
+  assert.ok(!Suggestions.isSuggested("ignore.test"),
+    "Ignored host is not suggested.");
+  assert.deepEqual(Suggestions.getIgnored(), ["ignore.test"],
+    "Ignored host is listed.");
+
+  Suggestions.unignore("ignore.test");
+  assert.deepEqual(Suggestions.getIgnored(), [], "Host is no longer ignored.");
+
+  Suggestions.accept("accept.test");
+  assert.equal(Enforcer.getSTSStatusForHost("accept.test"),
+    Enforcer.status.USER_ENFORCED, "Accepted host was enforced.");
+  assert.ok(!Suggestions.isSuggested("accept.test"),
+    "Enforced host is not suggested.");
+};
+
+// Run everything.
+require("sdk/test").run(exports);
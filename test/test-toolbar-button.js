@@ -0,0 +1,78 @@
+const _ = require("sdk/l10n").get;
+
+const { Enforcer } = require("../lib/enforcer");
+const { AdminPolicy } = require("../lib/admin-policy");
+const { ToolbarButton } = require("../lib/toolbar-button");
+
+/**
+ * Tests that hostFor() only returns hosts of web pages.
+ */
+exports["test hostFor()"] = function (assert) {
+  assert.equal(ToolbarButton.hostFor({ url: "https://button.test/path" }),
+    "button.test", "The host of a https page was returned.");
+  assert.equal(ToolbarButton.hostFor({ url: "http://button.test/" }),
+    "button.test", "The host of a http page was returned.");
+  assert.equal(ToolbarButton.hostFor({ url: "about:blank" }), null,
+    "Other pages have no host.");
+};
+
+/**
+ * Tests that getPanelState() matches the status of the host.
+ */
+exports["test getPanelState()"] = function (assert) {
+  let { USER_ENFORCED_WITH_SUBDOMAINS, USER_ENFORCED_PARENT,
+        NOT_ENFORCED } = Enforcer.status;
+
+  let state = ToolbarButton.getPanelState("button.test",
+    USER_ENFORCED_WITH_SUBDOMAINS);
+  assert.ok(state.enforce, "Enforce checkbox is checked.");
+  assert.ok(state.include, "Subdomain checkbox is checked.");
+  assert.ok(state.editable, "User enforced hosts can be edited.");
+
+  state = ToolbarButton.getPanelState("button.test", NOT_ENFORCED);
+  assert.ok(!state.enforce, "Enforce checkbox is not checked.");
+  assert.ok(state.editable, "Unenforced hosts can be edited.");
+
+  Enforcer.storage.enforceHosts = {
+    "button.test": { includeSubdomains: true },
+  };
+  state = ToolbarButton.getPanelState("sub.button.test",
+    USER_ENFORCED_PARENT);
+  assert.ok(!state.editable, "Parent enforcement is edited elsewhere.");
+  Enforcer.storage.enforceHosts = {};
+
+  state = ToolbarButton.getPanelState(null, null);
+  assert.ok(!state.editable, "Pages without a host can't be edited.");
+};
+
+/**
+ * Tests that the administrator's message is shown only for hosts the policy
+ * covers.
+ */
+exports["test getStatusMessage() admin"] = function (assert) {
+  Enforcer.storage.enforceHosts = {};
+  AdminPolicy.entries = AdminPolicy.parse(JSON.stringify({
+    hosts: {
+      "admin.button.test": { includeSubdomains: true },
+      "nosub.button.test": {},
+    }
+  }));
+
+  let message = host =>
+    ToolbarButton.getStatusMessage(host, Enforcer.getSTSStatusForHost(host));
+
+  try {
+    assert.equal(message("admin.button.test"),
+      _("ui.status.admin_enforced"), "Policy host has the admin message.");
+    assert.equal(message("www.admin.button.test"),
+      _("ui.status.admin_enforced_parent", "admin.button.test"),
+      "Covered subdomain names the policy host.");
+    assert.equal(message("www.nosub.button.test"),
+      _("ui.status.not_enforced"),
+      "Subdomain of a policy host without subdomains is not covered.");
+  } finally {
+    AdminPolicy.entries = {};
+  }
+};
+
+require("sdk/test").run(exports);